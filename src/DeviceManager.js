@@ -3,11 +3,16 @@
 const debug = require('debug')('serial-requests:DeviceManager');
 const EventEmitter = require('events');
 const PortManager = require('./PortManager');
-const SerialPort = require('serialport');
-const haveConnectedIds = [];
+const SerialTransport = require('./transports/SerialTransport');
+const abort = require('./abort');
+const errors = require('./errors');
+const MemoryDeviceStore = require('./stores/MemoryDeviceStore');
 
 const defaultOptions = {
-    timeout: 5000
+    timeout: 5000,
+    transports: [new SerialTransport()],
+    watch: false,
+    watchInterval: 2000
 };
 
 
@@ -19,6 +24,14 @@ const defaultOptions = {
  * @link{https://github.com/EmergingTechnologyAdvisors/node-serialport#serialportlistcallback--function node-serialport github page}.
  * The function should return an untruthy value if that port should be disregarded, and an option object such as expected
  * by PortManager otherwise.
+ * @param {Array<object>} [options.transports] - The transports on which devices are discovered. Defaults to the local
+ * serial ports. The description of each port has a transport property with the name of its transport.
+ * @param {object} [options.deviceStore] - Where the history of the devices is kept, such as a MemoryDeviceStore or a
+ * JsonFileDeviceStore. It tells whether a device is new or was already connected. Defaults to a new MemoryDeviceStore.
+ * @param {TrafficRecorder} [options.recorder] - If set, the traffic of every port, including identification, is recorded
+ * @param {boolean} [options.watch=false] - If true, start watching for ports being plugged in or removed. See
+ * startWatching.
+ * @param {number} [options.watchInterval=2000] - Interval in ms at which the port list is polled while watching
  */
 class DeviceManager extends EventEmitter {
     /**
@@ -45,25 +58,167 @@ class DeviceManager extends EventEmitter {
      * @property {string} id -  Device id
      */
 
+    /**
+     * unsolicited event
+     * A device sent data that was not requested. See the unsolicited option of PortManager.
+     *
+     * @event DeviceManager#unsolicited
+     * @type {object}
+     * @property {string} id - Device id
+     * @property {string} comName - The name of the port
+     * @property {string|Buffer} data - The received frame
+     * @property {*} [parsed] - The parsed frame
+     */
+
+    /**
+     * statusChanged event
+     * The status of a port changed. See PortManager#statusChanged.
+     *
+     * @event DeviceManager#statusChanged
+     * @type {object}
+     * @property {string} comName - The name of the port
+     * @property {string|null} id - The id of the device last identified on the port
+     * @property {number} code - The status code
+     * @property {string} status - A description of the status
+     * @property {string} color - A color representing the status
+     * @property {string} [message] - Details, such as the reason of a failure
+     */
+
+    /**
+     * data event
+     * Data was received from a port. Only emitted while there are listeners.
+     *
+     * @event DeviceManager#data
+     * @type {object}
+     * @property {string} comName - The name of the port
+     * @property {string|null} id - The id of the device last identified on the port
+     * @property {Buffer} data - The received bytes
+     */
+
+    /**
+     * portError event
+     * A port could not be opened or failed. Its PortManager tries again later.
+     *
+     * @event DeviceManager#portError
+     * @type {object}
+     * @property {string} comName - The name of the port
+     * @property {string|null} id - The id of the device last identified on the port
+     * @property {Error} error
+     */
+
+    /**
+     * portAdded event
+     * A port matching the optionCreator appeared in the port list
+     *
+     * @event DeviceManager#portAdded
+     * @type {object}
+     * @property {string} comName - The name of the port
+     * @property {object} port - The description of the port
+     */
+
+    /**
+     * portRemoved event
+     * A port matching the optionCreator disappeared from the port list
+     *
+     * @event DeviceManager#portRemoved
+     * @type {object}
+     * @property {string} comName - The name of the port
+     * @property {object} port - The last known description of the port
+     */
+
 
     constructor(options) {
         super();
         this.options = Object.assign({}, defaultOptions, options);
         this.devices = [];
         this.serialQManagers = {};
+        this.lookups = []; // Pending device lookups
+        this.deviceStore = this.options.deviceStore || new MemoryDeviceStore();
+        this.historyUpdates = {}; // The last pending history update of each device
+        this.knownPorts = {}; // Descriptions of the matching ports found by the last refresh
+        this.removedPorts = {}; // Ports released with removeDevice, which watching and lookups do not open again
+        this.watching = false;
+        this.closing = false;
+        if (this.options.watch) {
+            this.startWatching();
+        }
+    }
+
+    /**
+     * Watch for ports being plugged in or removed. Transports that implement a watch method notify changes of their
+     * port list, the other ones are polled. New matching ports get a PortManager right away.
+     * @fires DeviceManager#portAdded
+     * @fires DeviceManager#portRemoved
+     */
+    startWatching() {
+        if (this.watching) return;
+        debug('start watching ports');
+        this.watching = true;
+        this.unwatchTransports = this.options.transports
+            .filter(transport => typeof transport.watch === 'function')
+            .map(transport => transport.watch(() => this._watchRefresh()));
+        if (this.options.transports.some(transport => typeof transport.watch !== 'function')) {
+            this._schedulePoll();
+        }
+        this._watchRefresh();
+    }
+
+    /**
+     * Stop watching for ports
+     */
+    stopWatching() {
+        if (!this.watching) return;
+        debug('stop watching ports');
+        this.watching = false;
+        clearTimeout(this.pollTimeout);
+        this.unwatchTransports.forEach(unwatch => unwatch());
     }
 
     /**
      * Send a request to a device and get the response. If the device is not found it will attempt a refresh.
      * @param {string} id - id of the device to send a request to
-     * @param {string} cmd - command to send to the device
+     * @param {string|Buffer|Uint8Array} cmd - command to send to the device. Buffers are only accepted in binary mode.
      * @param {object} options - request options
      * @param {number} [options.timeout=200] - Timeout in ms. This is used to know when a request is considered finished.
      * A request is considered finished when the serial port stopped receiving data for more than the given timeout.
-     * @return {Promise.<string>} - The response to the request
+     * @param {AbortSignal} [options.signal] - Aborting the signal rejects the request, also while the device is being
+     * looked up.
+     * Other request options are described in PortManager#addRequest.
+     * @return {Promise.<string|Buffer>} - The response to the request
      */
     addRequest(id, cmd, options) {
-        return this._getSerialQ(id).then(s => s.addRequest(cmd, options));
+        var signal = options && options.signal;
+        if (signal && signal.aborted) return Promise.reject(new errors.AbortError({deviceId: id, command: cmd}));
+        if (this.closing) return Promise.reject(new errors.ClosedError({deviceId: id, command: cmd}));
+        var serialQ = this._getSerialQ(id);
+        if (signal) {
+            var lookup = serialQ;
+            serialQ = new Promise((resolve, reject) => {
+                var removeAbortListener = abort.onAbort(signal, () => reject(new errors.AbortError({deviceId: id, command: cmd})));
+                lookup.then(s => {
+                    removeAbortListener();
+                    resolve(s);
+                }, err => {
+                    removeAbortListener();
+                    reject(err);
+                });
+            });
+        }
+        return serialQ.then(s => s.addRequest(cmd, options));
+    }
+
+    /**
+     * Send a named command to a device and get its parsed response. The commands are defined in the commands option
+     * returned by optionCreator. See PortManager#command.
+     * @param {string} id - id of the device to send the command to
+     * @param {string} name - name of the command
+     * @param {object} [args={}] - arguments of the command
+     * @param {object} [options] - request options
+     * @return {Promise.<*>} - The parsed response
+     */
+    command(id, name, args, options) {
+        if (this.closing) return Promise.reject(new errors.ClosedError({deviceId: id, command: name}));
+        return this._getSerialQ(id).then(s => s.command(name, args, options));
     }
 
     /**
@@ -75,14 +230,70 @@ class DeviceManager extends EventEmitter {
         return Object.keys(this.devices);
     }
 
+    /**
+     * Get the status of a connected device
+     * @param {string} id - Device id
+     * @return {object|undefined} The id of the device, the name of its port (comName), the status code and message of
+     * its PortManager (code and status), whether it is ready to receive requests (ready), whether its port is in binary
+     * mode (binary) and the number of requests waiting or being executed (queueLength). Undefined if the device is not
+     * connected.
+     */
+    getDeviceStatus(id) {
+        var portManager = this.devices[id];
+        if (!portManager) return undefined;
+        return {
+            id,
+            comName: portManager.comName,
+            code: portManager.statusCode,
+            status: portManager.status,
+            ready: Boolean(portManager.ready),
+            binary: Boolean(portManager.options.binary),
+            queueLength: portManager.queueLength
+        };
+    }
+
+    /**
+     * List the requests being executed and queued on all devices, or on a single device
+     * @param {string} [id] - If set, only list the requests of this device
+     * @return {Array<object>} The requests as returned by PortManager#getRequests, with the id of the device (deviceId)
+     * and the name of its port (comName)
+     */
+    getRequests(id) {
+        var ids = id === undefined ? this.getDeviceIds() : [id];
+        return ids.filter(id => this.devices[id]).reduce((requests, id) => {
+            var portManager = this.devices[id];
+            return requests.concat(portManager.getRequests().map(request => Object.assign({
+                deviceId: id,
+                comName: portManager.comName
+            }, request)));
+        }, []);
+    }
+
+    /**
+     * Get the history of a device
+     * @param {string} id - Device id
+     * @return {Promise.<object|undefined>} The time the device was first and last seen (firstSeen and lastSeen, in ms),
+     * the last port it was connected to (lastPort) and the number of times it connected (connectionCount). Undefined if
+     * the device was never seen.
+     */
+    getDeviceHistory(id) {
+        return Promise.resolve(this.deviceStore.get(id));
+    }
+
     /**
      * Will refresh the list of ports. For each new port, will attempt to initialize it  on weather the optionCreator
      * option returns a truthy value. See PortManager
+     * The ports released with removeDevice are opened again.
      * @fires DeviceManager#new
      * @fires DeviceManager#connect
      * @return {Promise} A promise that resolves after the list of available ports has been listed
      */
     refresh() {
+        this.removedPorts = {};
+        return this._refresh();
+    }
+
+    _refresh() {
         if (this.refreshing) {
             return this.refreshPromise;
         }
@@ -90,6 +301,87 @@ class DeviceManager extends EventEmitter {
         return this.refreshPromise;
     }
 
+    /**
+     * Close the port of a device and forget about it, while the other devices keep running. Watching and device lookups
+     * leave the port closed until it disappears from the port list. A call to refresh opens it again if it still matches
+     * the optionCreator.
+     * @param {string} id - id of the device
+     * @param {object} [options] - Options passed to PortManager#close
+     * @fires DeviceManager#disconnect
+     * @return {Promise} A promise resolving once the port is closed
+     */
+    removeDevice(id, options) {
+        var portManager = this.devices[id];
+        if (!portManager) return Promise.resolve();
+        debug('removing device', id);
+        delete this.devices[id];
+        delete this.serialQManagers[portManager.comName];
+        delete this.knownPorts[portManager.comName];
+        this.removedPorts[portManager.comName] = true;
+        this.emit('disconnect', {id});
+        return portManager.close(options);
+    }
+
+    /**
+     * Close all ports and stop looking for devices. Pending device lookups and new requests are rejected with a
+     * ClosedError.
+     * @param {object} [options] - Options passed to PortManager#close
+     * @return {Promise} A promise resolving once all ports are closed and all timers are cleared
+     */
+    close(options) {
+        debug('closing device manager');
+        this.closing = true;
+        this.stopWatching();
+        this.lookups.slice().forEach(lookup => lookup.reject(new errors.ClosedError({deviceId: lookup.id})));
+        var portManagers = Object.keys(this.serialQManagers).map(comName => this.serialQManagers[comName]);
+        this.serialQManagers = {};
+        this.devices = [];
+        this.knownPorts = {};
+        this.removedPorts = {};
+        return Promise.all(portManagers.map(portManager => portManager.close(options))).then(() => {
+            debug('device manager closed');
+        });
+    }
+
+    _schedulePoll() {
+        this.pollTimeout = setTimeout(() => {
+            this._watchRefresh().then(() => {
+                if (this.watching) this._schedulePoll();
+            });
+        }, this.options.watchInterval);
+    }
+
+    _watchRefresh() {
+        // A change notified during a refresh may have been missed by it
+        var wasRefreshing = this.refreshing;
+        return this._refresh().then(() => {
+            if (wasRefreshing && this.watching) return this._watchRefresh();
+            return undefined;
+        }).catch(err => {
+            debug(`refresh failed while watching ports: ${err.message}`);
+        });
+    }
+
+    _updatePortList(selectedPorts) {
+        var previousPorts = this.knownPorts;
+        this.knownPorts = {};
+        selectedPorts.forEach(entry => {
+            this.knownPorts[entry.port.comName] = entry.port;
+        });
+        Object.keys(this.knownPorts)
+            .filter(comName => !previousPorts[comName])
+            .forEach(comName => {
+                debug('port added:', comName);
+                this.emit('portAdded', {comName, port: this.knownPorts[comName]});
+            });
+        Object.keys(previousPorts)
+            .filter(comName => !this.knownPorts[comName])
+            .forEach(comName => {
+                debug('port removed:', comName);
+                this.emit('portRemoved', {comName, port: previousPorts[comName]});
+            });
+    }
+
     _getSerialQ(id) {
         var that = this;
         debug('getting serialQ for device', id);
@@ -97,20 +389,36 @@ class DeviceManager extends EventEmitter {
             return Promise.resolve(that.devices[id]);
         }
 
-        return that.refresh().then(() => {
+        return that._refresh().then(() => {
+            if (this.closing) throw new errors.ClosedError({deviceId: id});
             return new Promise((resolve, reject) => {
+                var lookup = {
+                    id,
+                    reject: err => {
+                        done();
+                        reject(err);
+                    }
+                };
+
                 function deviceReady(data) {
                     if (id === data.id) {
+                        done();
                         resolve(that.devices[id]);
                     }
                 }
 
+                function done() {
+                    clearTimeout(timeout);
+                    that.removeListener('new', deviceReady);
+                    that.removeListener('connect', deviceReady);
+                    that.lookups.splice(that.lookups.indexOf(lookup), 1);
+                }
+
+                this.lookups.push(lookup);
                 this.on('new', deviceReady);
                 this.on('connect', deviceReady);
-                setTimeout(() => {
-                    this.removeListener('new', deviceReady);
-                    this.removeListener('connect', deviceReady);
-                    reject(new Error(`timeout exceeded. Device with ID ${id} is not connected, failed to init, or is slow to init`));
+                var timeout = setTimeout(() => {
+                    lookup.reject(new errors.DeviceLookupTimeoutError({deviceId: id, timeout: this.options.timeout}));
                 }, this.options.timeout);
             });
         });
@@ -120,61 +428,127 @@ class DeviceManager extends EventEmitter {
         debug('call to _updateList method');
         var that = this;
         this.refreshing = true;
-        return new Promise((resolve, reject) => {
-            SerialPort.list(function (err, ports) {
-                that.refreshing = false;
-                if (err) {
-                    debug('Port List failed : ' + err);
-                    reject(err);
-                    return;
-                }
-                // Pass port info through optionCreator
-                var selectedPorts = ports.filter(that.options.optionCreator);
-                selectedPorts.forEach(function (port) {
-                    debug('device with desired specs on port :', port.comName);
-                    if (!that.serialQManagers[port.comName]) {
-                        // if no PortManager exists for this comName, create it
-                        that.serialQManagers[port.comName] = new PortManager(port.comName, that.options.optionCreator);
-                        debug('instantiated new SerialQ');
-
-                        that.serialQManagers[port.comName].on('ready', data => {
-                            debug('serialQManager ready event, instantiating Device entry:' + data.id);
-                            that._deviceConnected(data, port.comName);
-                        });
+        var lists = this.options.transports.map(transport => transport.list().then(ports => {
+            return ports.map(port => ({port, transport}));
+        }));
+        return Promise.all(lists).then(lists => {
+            that.refreshing = false;
+            if (that.closing) return;
+            var ports = lists.reduce((all, list) => all.concat(list), []);
+            // A removed port may be opened again once it was unplugged
+            Object.keys(that.removedPorts)
+                .filter(comName => !ports.some(entry => entry.port.comName === comName))
+                .forEach(comName => delete that.removedPorts[comName]);
+            // Pass port info through optionCreator
+            var selectedPorts = ports.filter(entry => !that.removedPorts[entry.port.comName] && that.options.optionCreator(entry.port));
+            selectedPorts.forEach(function (entry) {
+                var port = entry.port;
+                debug('device with desired specs on port :', port.comName);
+                if (!that.serialQManagers[port.comName]) {
+                    // if no PortManager exists for this comName, create it
+                    that.serialQManagers[port.comName] = new PortManager(port.comName, that.options.optionCreator, entry.transport);
+                    if (that.options.recorder) {
+                        that.options.recorder.attach(that.serialQManagers[port.comName]);
+                    }
+                    debug('instantiated new SerialQ');
 
-                        that.serialQManagers[port.comName].on('reinitialized', data => {
-                            debug('rematching port and device id on reinitialisation:' + data.id);
-                            that._deviceConnected(data, port.comName);
-                        });
+                    that.serialQManagers[port.comName].on('ready', data => {
+                        debug('serialQManager ready event, instantiating Device entry:' + data.id);
+                        that._deviceConnected(data, port.comName);
+                    });
+
+                    that.serialQManagers[port.comName].on('reinitialized', data => {
+                        debug('rematching port and device id on reinitialisation:' + data.id);
+                        that._deviceConnected(data, port.comName);
+                    });
 
-                        that.serialQManagers[port.comName].on('idchange', data => {
-                            debug('on deviceId change for port' + port.comName);
-                            debug('serialQManager idchangevent event, instantiating Device entry:' + data.id);
-                            that._deviceConnected(data, port.comName);
+                    that.serialQManagers[port.comName].on('idchange', data => {
+                        debug('on deviceId change for port' + port.comName);
+                        debug('serialQManager idchangevent event, instantiating Device entry:' + data.id);
+                        that._deviceConnected(data, port.comName);
+                    });
+
+                    that.serialQManagers[port.comName].on('disconnect', data => {
+                        debug('device disconnected on port' + port.comName);
+                        // The device was never identified on this port
+                        if (!data.id) return;
+                        debug('closed port for device : ' + data.id);
+                        delete that.devices[data.id];
+                        that._updateDeviceHistory(data.id, record => Object.assign({}, record, {lastSeen: Date.now()}));
+                        that.emit('disconnect', {id: data.id});
+                    });
+
+                    var portManager = that.serialQManagers[port.comName];
+                    // A PortManager emitting error without a listener would throw
+                    portManager.on('error', err => {
+                        debug(`error on port ${port.comName}: ${err.message}`);
+                        that.emit('portError', {
+                            id: portManager.deviceId,
+                            comName: port.comName,
+                            error: err
                         });
+                    });
 
-                        that.serialQManagers[port.comName].on('disconnect', data => {
-                            debug('device disconnected on port' + port.comName);
-                            debug('closed port for device : ' + data.id);
-                            delete that.devices[data.id];
-                            that.emit('disconnect', {id: data.id});
+                    portManager.on('statusChanged', event => {
+                        that.emit('statusChanged', Object.assign({
+                            id: portManager.deviceId,
+                            comName: port.comName
+                        }, event));
+                    });
+
+                    portManager.on('data', data => {
+                        if (!that.listenerCount('data')) return;
+                        that.emit('data', {
+                            id: portManager.deviceId,
+                            comName: port.comName,
+                            data
                         });
-                    }
-                });
-                resolve();
+                    });
+
+                    portManager.on('unsolicited', event => {
+                        that.emit('unsolicited', Object.assign({
+                            id: portManager.deviceId,
+                            comName: port.comName
+                        }, event));
+                    });
+                } else if ([5, 8].includes(that.serialQManagers[port.comName].statusCode)) {
+                    // The port manager is waiting to reconnect, or gave up, but the port is back
+                    that.serialQManagers[port.comName].reconnect();
+                }
             });
+            that._updatePortList(selectedPorts);
+        }, err => {
+            that.refreshing = false;
+            debug('Port List failed : ' + err);
+            throw err;
         });
     }
 
     _deviceConnected(data, comName) {
-        var hasPreviouslyConnected = haveConnectedIds.includes(data.id);
         this.devices[data.id] = this.serialQManagers[comName];
-        if (hasPreviouslyConnected) {
-            this.emit('connect', {id: data.id});
-        } else {
-            haveConnectedIds.push(data.id);
-            this.emit('new', {id: data.id});
-        }
+        var now = Date.now();
+        return this._updateDeviceHistory(data.id, record => {
+            if (!record) {
+                return {firstSeen: now, lastSeen: now, lastPort: comName, connectionCount: 1};
+            }
+            return Object.assign({}, record, {lastSeen: now, lastPort: comName, connectionCount: record.connectionCount + 1});
+        }).then(previousRecord => {
+            this.emit(previousRecord ? 'connect' : 'new', {id: data.id});
+        });
+    }
+
+    _updateDeviceHistory(id, update) {
+        // Resolves with the record as it was before the update. The updates of a device are chained so that each one reads
+        // the record saved by the previous one.
+        var previous = this.historyUpdates[id] || Promise.resolve();
+        var read = previous.then(() => this.deviceStore.get(id));
+        var saved = this.historyUpdates[id] = read.then(record => this.deviceStore.set(id, update(record))).catch(err => {
+            debug(`could not update the history of device ${id}: ${err.message}`);
+        });
+        saved.then(() => {
+            if (this.historyUpdates[id] === saved) delete this.historyUpdates[id];
+        });
+        return read.catch(() => undefined);
     }
 }
 
@@ -0,0 +1,218 @@
+'use strict';
+
+const http = require('http');
+const url = require('url');
+const debug = require('debug')('serial-requests:HttpGateway');
+const remoteRequests = require('./remoteRequests');
+
+const defaultOptions = {
+    basePath: '',
+    maxBodySize: 1024 * 1024,
+    cors: false
+};
+
+// HTTP status code of each library error code
+const statusCodes = {
+    INVALID_REQUEST: 400,
+    DEVICE_LOOKUP_TIMEOUT: 404,
+    DEVICE_ID_MISMATCH: 409,
+    QUEUE_FULL: 429,
+    ABORTED: 499,
+    DEVICE_NOT_READY: 503,
+    CLOSED: 503,
+    WRITE_ERROR: 502,
+    RESPONSE_VALIDATION_ERROR: 502,
+    IDENTIFICATION_ERROR: 502,
+    CHECKSUM_MISMATCH: 502,
+    INVALID_FRAME: 502,
+    MODBUS_EXCEPTION: 502,
+    MODBUS_INVALID_RESPONSE: 502,
+    SCPI_ERROR: 502
+};
+
+/**
+ * Exposes a DeviceManager over HTTP. Requests and responses have JSON bodies.
+ *
+ * - GET /devices lists the connected devices and their status
+ * - GET /devices/:id gets the status of a device
+ * - GET /devices/:id/requests lists the requests queued or being executed on a device
+ * - POST /devices/:id/requests sends a command to a device. The body has the command, and optionally its encoding
+ * ('utf8', 'hex' or 'base64'), a timeout and a priority. The response is given in the same encoding. 'hex' and 'base64'
+ * are only accepted for ports in binary mode.
+ * - POST /refresh refreshes the list of ports
+ *
+ * Errors have a body with their code and message, and an HTTP status depending on their code: for example 404 for a
+ * device that is not connected, 429 for a full queue and 502 for an invalid response from the device.
+ * @constructor
+ * @param {DeviceManager} deviceManager
+ * @param {object} [options]
+ * @param {string} [options.basePath=''] - Prefix of all the routes, such as '/api'
+ * @param {number} [options.maxBodySize=1048576] - Maximum size in bytes of request bodies
+ * @param {boolean|string} [options.cors=false] - If set, add an Access-Control-Allow-Origin header with this origin, or
+ * with * if true
+ */
+class HttpGateway {
+    constructor(deviceManager, options) {
+        this.deviceManager = deviceManager;
+        this.options = Object.assign({}, defaultOptions, options);
+        this.server = null;
+        this.handle = this.handle.bind(this);
+    }
+
+    /**
+     * Start an HTTP server
+     * @param {number} [port=0] - The port to listen on. 0 picks a free port.
+     * @param {string} [host] - The address to listen on. Defaults to all addresses.
+     * @return {Promise.<object>} The address of the server, as given by server.address()
+     */
+    listen(port, host) {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer(this.handle);
+            this.server.once('error', reject);
+            this.server.listen(port || 0, host, () => {
+                this.server.removeListener('error', reject);
+                debug('listening on', this.server.address());
+                resolve(this.server.address());
+            });
+        });
+    }
+
+    /**
+     * Stop the HTTP server started by listen. The DeviceManager is not closed.
+     * @return {Promise}
+     */
+    close() {
+        if (!this.server) return Promise.resolve();
+        var server = this.server;
+        this.server = null;
+        return new Promise((resolve, reject) => {
+            server.close(err => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+
+    /**
+     * Handle an HTTP request. Can be used as the request listener of an existing server.
+     * Requests that do not match a route get a 404 response.
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     */
+    handle(req, res) {
+        var pathname = url.parse(req.url).pathname;
+        var basePath = this.options.basePath.replace(/\/$/, '');
+        var route = null;
+        try {
+            route = pathname.startsWith(`${basePath}/`) ? this._route(req.method, pathname.slice(basePath.length)) : null;
+        } catch (err) {
+            // The path could not be decoded
+            this._sendError(res, httpError(400, 'INVALID_REQUEST', err.message));
+            return;
+        }
+        if (!route) {
+            this._send(res, 404, {error: {code: 'NOT_FOUND', message: `No route for ${req.method} ${pathname}`}});
+            return;
+        }
+        readBody(req, this.options.maxBodySize)
+            .then(body => route(body))
+            .then(result => this._send(res, result.status || 200, result.body), err => this._sendError(res, err));
+    }
+
+    _route(method, pathname) {
+        var parts = pathname.split('/').slice(1).map(part => decodeURIComponent(part));
+        var dm = this.deviceManager;
+        if (parts[0] === 'devices' && parts.length === 1 && method === 'GET') {
+            return () => ({body: {devices: dm.getDeviceIds().map(id => dm.getDeviceStatus(id))}});
+        }
+        if (parts[0] === 'devices' && parts.length === 2 && method === 'GET') {
+            return () => {
+                var status = dm.getDeviceStatus(parts[1]);
+                if (!status) throw notConnected(parts[1]);
+                return {body: status};
+            };
+        }
+        if (parts[0] === 'devices' && parts.length === 3 && parts[2] === 'requests' && method === 'GET') {
+            return () => {
+                if (!dm.getDeviceStatus(parts[1])) throw notConnected(parts[1]);
+                return {body: {requests: dm.getRequests(parts[1])}};
+            };
+        }
+        if (parts[0] === 'devices' && parts.length === 3 && parts[2] === 'requests' && method === 'POST') {
+            return body => {
+                debug(`command to ${parts[1]}:`, body.command);
+                return remoteRequests.sendRequest(dm, parts[1], body).then(result => ({body: result}));
+            };
+        }
+        if (parts[0] === 'refresh' && parts.length === 1 && method === 'POST') {
+            return () => dm.refresh().then(() => ({body: {devices: dm.getDeviceIds()}}));
+        }
+        return null;
+    }
+
+    _sendError(res, err) {
+        var status = err.status || statusCodes[err.code] || 500;
+        if (status === 500) debug('unexpected error', err);
+        this._send(res, status, {error: remoteRequests.serializeError(err)});
+    }
+
+    _send(res, status, body) {
+        var headers = {'Content-Type': 'application/json; charset=utf-8'};
+        if (this.options.cors) {
+            headers['Access-Control-Allow-Origin'] = this.options.cors === true ? '*' : this.options.cors;
+        }
+        res.writeHead(status, headers);
+        res.end(JSON.stringify(body));
+    }
+}
+
+function httpError(status, code, message) {
+    var error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+function notConnected(id) {
+    return httpError(404, 'DEVICE_NOT_CONNECTED', `Device with ID ${id} is not connected`);
+}
+
+function readBody(req, maxBodySize) {
+    return new Promise((resolve, reject) => {
+        var chunks = [];
+        var size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBodySize) {
+                // The rest of the body is discarded
+                chunks = [];
+                reject(httpError(413, 'PAYLOAD_TOO_LARGE', `The body exceeds ${maxBodySize} bytes`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('error', reject);
+        req.on('end', () => {
+            if (!size) {
+                resolve({});
+                return;
+            }
+            var body;
+            try {
+                body = JSON.parse(Buffer.concat(chunks).toString());
+            } catch (err) {
+                reject(httpError(400, 'INVALID_JSON', `Invalid JSON body: ${err.message}`));
+                return;
+            }
+            if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+                reject(httpError(400, 'INVALID_JSON', 'The body must be a JSON object'));
+                return;
+            }
+            resolve(body);
+        });
+    });
+}
+
+HttpGateway.statusCodes = statusCodes;
+
+module.exports = HttpGateway;
@@ -0,0 +1,199 @@
+'use strict';
+
+const EventEmitter = require('events');
+const debug = require('debug')('serial-requests:MockDevice');
+
+const defaultOptions = {
+    id: 'mock',
+    idCommand: null,
+    formatId: function (id) {
+        return `${id}\n`;
+    },
+    delay: 0,
+    chunkSize: 0,
+    chunkDelay: 0
+};
+
+/**
+ * In-memory device to be used with a MockTransport. It answers the commands it receives according to scripted rules,
+ * which allows testing code built on PortManager or DeviceManager without hardware.
+ * @constructor
+ * @param {object} [options]
+ * @param {string} [options.id='mock'] - The id of the device
+ * @param {string} [options.idCommand] - If set, the device answers this command with its id formatted by formatId
+ * @param {function} [options.formatId] - Formats the answer to idCommand. Defaults to the id followed by a newline.
+ * @param {number} [options.delay=0] - Delay in ms before answering a command
+ * @param {number} [options.chunkSize=0] - If set, answers are sent in chunks of this number of bytes
+ * @param {number} [options.chunkDelay=0] - Delay in ms between two chunks
+ */
+class MockDevice extends EventEmitter {
+    /**
+     * command event
+     * The device received a command
+     *
+     * @event MockDevice#command
+     * @type {object}
+     * @property {Buffer} data - The received bytes
+     * @property {boolean} matched - Whether a rule matched the command
+     */
+
+    /**
+     * plug event
+     * The device was plugged in
+     *
+     * @event MockDevice#plug
+     */
+
+    /**
+     * unplug event
+     * The device was unplugged
+     *
+     * @event MockDevice#unplug
+     */
+
+    constructor(options) {
+        super();
+        this.options = Object.assign({}, defaultOptions, options);
+        this.id = this.options.id;
+        this.rules = [];
+        this.received = [];
+        this.writeErrors = [];
+        this.plugged = true;
+        this.connection = null;
+    }
+
+    /**
+     * Add a rule telling the device how to answer a command. Rules are tried in the order they were added.
+     * @param {string|RegExp|function} match - A command, a pattern the command must match, or a function receiving the
+     * command as a string and its raw bytes
+     * @param {string|Buffer|Array|function} response - The answer. An array of strings or Buffers is sent as separate
+     * chunks. A function receives the command, the result of the match and the device, and returns the answer. An empty
+     * answer (null or undefined) sends nothing.
+     * @param {object} [options] - Overrides the delay, chunkSize and chunkDelay options of the device for this rule
+     * @return {MockDevice} The device, for chaining
+     */
+    addRule(match, response, options) {
+        this.rules.push({match, response, options: options || {}});
+        return this;
+    }
+
+    /**
+     * Change the id of the device. The next identification returns the new id.
+     * @param {string} id
+     */
+    setId(id) {
+        this.id = id;
+    }
+
+    /**
+     * Make the next write to the device fail
+     * @param {Error} [error]
+     */
+    failNextWrite(error) {
+        this.writeErrors.push(error || new Error('Simulated write error'));
+    }
+
+    /**
+     * Send data to the connected port without it being requested
+     * @param {string|Buffer} data
+     */
+    send(data) {
+        if (this.connection) {
+            this.connection._receiveData(Buffer.from(data));
+        }
+    }
+
+    /**
+     * Simulate unplugging the device. The connection is lost and the port is not listed anymore.
+     * @fires MockDevice#unplug
+     */
+    unplug() {
+        debug('unplugging device', this.id);
+        this.plugged = false;
+        if (this.connection) {
+            this.connection._disconnect();
+        }
+        this.emit('unplug');
+    }
+
+    /**
+     * Simulate plugging the device back in
+     * @fires MockDevice#plug
+     */
+    plug() {
+        debug('plugging device', this.id);
+        this.plugged = true;
+        this.emit('plug');
+    }
+
+    _write(data) {
+        if (this.writeErrors.length) {
+            return this.writeErrors.shift();
+        }
+        this.received.push(data);
+        var cmd = data.toString();
+        var answer = this._answer(cmd, data);
+        this.emit('command', {data, matched: answer !== undefined});
+        if (answer) {
+            this._schedule(answer.response, answer.options);
+        }
+        return null;
+    }
+
+    _answer(cmd, data) {
+        if (this.options.idCommand !== null && cmd === this.options.idCommand) {
+            return {response: this.options.formatId(this.id), options: {}};
+        }
+        for (var i = 0; i < this.rules.length; i++) {
+            var rule = this.rules[i];
+            var match = matchRule(rule.match, cmd, data);
+            if (match) {
+                var response = rule.response;
+                if (typeof response === 'function') {
+                    response = response(cmd, match, this);
+                }
+                return {response, options: rule.options};
+            }
+        }
+        debug('no rule matched command', cmd);
+        return undefined;
+    }
+
+    _schedule(response, options) {
+        if (response === null || response === undefined) return;
+        options = Object.assign({}, this.options, options);
+        var chunks = Array.isArray(response) ? response.map(chunk => Buffer.from(chunk)) : [Buffer.from(response)];
+        if (options.chunkSize) {
+            chunks = splitChunks(Buffer.concat(chunks), options.chunkSize);
+        }
+        var connection = this.connection;
+        chunks.forEach((chunk, index) => {
+            setTimeout(() => {
+                // Do not send to a connection that was closed in the meantime
+                if (connection === this.connection) {
+                    connection._receiveData(chunk);
+                }
+            }, options.delay + index * options.chunkDelay);
+        });
+    }
+}
+
+function matchRule(match, cmd, data) {
+    if (typeof match === 'string') {
+        return cmd === match;
+    } else if (match instanceof RegExp) {
+        return match.exec(cmd);
+    } else {
+        return match(cmd, data);
+    }
+}
+
+function splitChunks(buffer, size) {
+    var chunks = [];
+    for (var i = 0; i < buffer.length; i += size) {
+        chunks.push(buffer.slice(i, i + size));
+    }
+    return chunks;
+}
+
+module.exports = MockDevice;
@@ -0,0 +1,401 @@
+'use strict';
+
+const debug = require('debug')('serial-requests:ModbusRtuClient');
+const errors = require('./errors');
+const checksums = require('./checksums');
+
+const exceptionNames = {
+    1: 'ILLEGAL_FUNCTION',
+    2: 'ILLEGAL_DATA_ADDRESS',
+    3: 'ILLEGAL_DATA_VALUE',
+    4: 'SERVER_DEVICE_FAILURE',
+    5: 'ACKNOWLEDGE',
+    6: 'SERVER_DEVICE_BUSY',
+    8: 'MEMORY_PARITY_ERROR',
+    10: 'GATEWAY_PATH_UNAVAILABLE',
+    11: 'GATEWAY_TARGET_DEVICE_FAILED_TO_RESPOND'
+};
+
+const defaultPortOptions = {
+    baudRate: 9600,
+    responseTimeout: 1000,
+    unitId: 1,
+    idFunctionCode: 3,
+    idAddress: 0,
+    idQuantity: 1,
+    parseId: function (registers) {
+        return registers.join('.');
+    }
+};
+
+/**
+ * Client for the Modbus RTU protocol. Requests are written through a PortManager, so they share its queue, priorities
+ * and reconnection. The port must be in binary mode; ModbusRtuClient.createPortOptions gives suitable options.
+ * Several units can share the bus: each request is addressed to a unit id. Requests to unit 0 are broadcasts, which
+ * no unit answers.
+ * @constructor
+ * @param {PortManager|object} target - The PortManager of the bus, or any object with an addRequest(cmd, options)
+ * method returning a promise of the response
+ * @param {object} [options]
+ * @param {object} [options.requestOptions] - Options added to every request, such as priority or retries
+ */
+class ModbusRtuClient {
+    constructor(target, options) {
+        this.target = target;
+        this.options = Object.assign({}, options);
+    }
+
+    /**
+     * Create a client addressing a device of a DeviceManager
+     * @param {DeviceManager} deviceManager
+     * @param {string} id - The id of the device
+     * @param {object} [options] - Options of the client
+     * @return {ModbusRtuClient}
+     */
+    static forDevice(deviceManager, id, options) {
+        return new ModbusRtuClient({
+            addRequest: (cmd, requestOptions) => deviceManager.addRequest(id, cmd, requestOptions)
+        }, options);
+    }
+
+    /**
+     * Get PortManager options for a Modbus RTU bus. The device is identified by reading registers of one of its units,
+     * so the options can be returned by the optionCreator of a DeviceManager.
+     * @param {object} [options] - Other options are kept, and are passed to the port
+     * @param {number} [options.baudRate=9600] - The baud rate of the bus, which determines the frame timing
+     * @param {number} [options.responseTimeout=1000] - Time in ms a unit has to start answering
+     * @param {number} [options.frameGap] - Silence in ms marking the end of a frame. Defaults to 3.5 character times,
+     * or 1.75 ms above 19200 bauds as the specification recommends. Adapters buffering the received data may need more.
+     * @param {number} [options.unitId=1] - The unit whose registers identify the device
+     * @param {number} [options.idFunctionCode=3] - 3 to read holding registers, 4 to read input registers
+     * @param {number} [options.idAddress=0] - The address of the first register identifying the device
+     * @param {number} [options.idQuantity=1] - The number of registers identifying the device
+     * @param {function} [options.parseId] - Receives the registers as an array of numbers and returns the id of the
+     * device. By default the registers are joined with dots.
+     * @return {object} The options of the PortManager
+     */
+    static createPortOptions(options) {
+        options = Object.assign({}, defaultPortOptions, options);
+        var frameGap = options.frameGap || getFrameGap(options.baudRate);
+        var portOptions = Object.assign({}, options, {
+            binary: true,
+            serialResponseTimeout: options.responseTimeout,
+            interCharTimeout: frameGap,
+            interRequestDelay: frameGap,
+            isComplete: ModbusRtuClient.isCompleteFrame,
+            getIdCommand: buildFrame(options.unitId, options.idFunctionCode, encodeRange(options.idAddress, options.idQuantity)),
+            getIdResponseParser: function (buffer) {
+                var data = decodeResponse(buffer, options.unitId, options.idFunctionCode);
+                return options.parseId(decodeRegisters(data, options.idQuantity));
+            }
+        });
+        ['frameGap', 'responseTimeout', 'unitId', 'idFunctionCode', 'idAddress', 'idQuantity', 'parseId'].forEach(key => {
+            delete portOptions[key];
+        });
+        return portOptions;
+    }
+
+    /**
+     * Tell if a buffer holds a complete response frame, based on its function code and byte count
+     * @param {Buffer} buffer
+     * @return {boolean}
+     */
+    static isCompleteFrame(buffer) {
+        if (buffer.length < 2) return false;
+        var functionCode = buffer[1];
+        if (functionCode & 0x80) return buffer.length >= 5;
+        switch (functionCode) {
+            case 1:
+            case 2:
+            case 3:
+            case 4:
+                return buffer.length >= 3 && buffer.length >= buffer[2] + 5;
+            case 5:
+            case 6:
+            case 15:
+            case 16:
+                return buffer.length >= 8;
+            default:
+                // Unknown function: the frame ends with the silence following it
+                return false;
+        }
+    }
+
+    /**
+     * Read coils (function 1)
+     * @param {number} unitId
+     * @param {number} address - The address of the first coil
+     * @param {number} quantity - The number of coils, from 1 to 2000
+     * @param {object} [options] - Options of the request
+     * @return {Promise.<Array<boolean>>}
+     */
+    readCoils(unitId, address, quantity, options) {
+        return this._readBits(unitId, 1, address, quantity, options);
+    }
+
+    /**
+     * Read discrete inputs (function 2)
+     * @param {number} unitId
+     * @param {number} address - The address of the first input
+     * @param {number} quantity - The number of inputs, from 1 to 2000
+     * @param {object} [options] - Options of the request
+     * @return {Promise.<Array<boolean>>}
+     */
+    readDiscreteInputs(unitId, address, quantity, options) {
+        return this._readBits(unitId, 2, address, quantity, options);
+    }
+
+    /**
+     * Read holding registers (function 3)
+     * @param {number} unitId
+     * @param {number} address - The address of the first register
+     * @param {number} quantity - The number of registers, from 1 to 125
+     * @param {object} [options] - Options of the request
+     * @return {Promise.<Array<number>>} The unsigned 16 bits values of the registers
+     */
+    readHoldingRegisters(unitId, address, quantity, options) {
+        return this._readRegisters(unitId, 3, address, quantity, options);
+    }
+
+    /**
+     * Read input registers (function 4)
+     * @param {number} unitId
+     * @param {number} address - The address of the first register
+     * @param {number} quantity - The number of registers, from 1 to 125
+     * @param {object} [options] - Options of the request
+     * @return {Promise.<Array<number>>} The unsigned 16 bits values of the registers
+     */
+    readInputRegisters(unitId, address, quantity, options) {
+        return this._readRegisters(unitId, 4, address, quantity, options);
+    }
+
+    /**
+     * Write a single coil (function 5)
+     * @param {number} unitId
+     * @param {number} address
+     * @param {boolean} value
+     * @param {object} [options] - Options of the request
+     * @return {Promise}
+     */
+    writeSingleCoil(unitId, address, value, options) {
+        var data;
+        try {
+            data = encodeRange(address, value ? 0xFF00 : 0x0000);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+        return this._write(unitId, 5, data, options);
+    }
+
+    /**
+     * Write a single holding register (function 6)
+     * @param {number} unitId
+     * @param {number} address
+     * @param {number} value - An unsigned 16 bits value
+     * @param {object} [options] - Options of the request
+     * @return {Promise}
+     */
+    writeSingleRegister(unitId, address, value, options) {
+        var data;
+        try {
+            checkRange('value', value, 0, 0xFFFF);
+            data = encodeRange(address, value);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+        return this._write(unitId, 6, data, options);
+    }
+
+    /**
+     * Write multiple coils (function 15)
+     * @param {number} unitId
+     * @param {number} address - The address of the first coil
+     * @param {Array<boolean>} values - From 1 to 1968 values
+     * @param {object} [options] - Options of the request
+     * @return {Promise}
+     */
+    writeMultipleCoils(unitId, address, values, options) {
+        var data;
+        try {
+            checkRange('quantity', values.length, 1, 1968);
+            var byteCount = Math.ceil(values.length / 8);
+            data = Buffer.alloc(5 + byteCount);
+            encodeRange(address, values.length).copy(data);
+            data[4] = byteCount;
+            values.forEach((value, i) => {
+                if (value) data[5 + (i >> 3)] |= 1 << (i & 7);
+            });
+        } catch (err) {
+            return Promise.reject(err);
+        }
+        return this._write(unitId, 15, data, options);
+    }
+
+    /**
+     * Write multiple holding registers (function 16)
+     * @param {number} unitId
+     * @param {number} address - The address of the first register
+     * @param {Array<number>} values - From 1 to 123 unsigned 16 bits values
+     * @param {object} [options] - Options of the request
+     * @return {Promise}
+     */
+    writeMultipleRegisters(unitId, address, values, options) {
+        var data;
+        try {
+            checkRange('quantity', values.length, 1, 123);
+            data = Buffer.alloc(5 + 2 * values.length);
+            encodeRange(address, values.length).copy(data);
+            data[4] = 2 * values.length;
+            values.forEach((value, i) => {
+                checkRange('value', value, 0, 0xFFFF);
+                data.writeUInt16BE(value, 5 + 2 * i);
+            });
+        } catch (err) {
+            return Promise.reject(err);
+        }
+        return this._write(unitId, 16, data, options);
+    }
+
+    /**
+     * Send a request and return the data of its response, without the unit id, function code and CRC. Use it for
+     * functions that have no dedicated method.
+     * @param {number} unitId - The unit the request is addressed to, or 0 for a broadcast
+     * @param {number} functionCode
+     * @param {Buffer|Array<number>} data - The data following the function code
+     * @param {object} [options] - Options of the request, such as priority, signal or timeout
+     * @return {Promise.<Buffer|undefined>} The data of the response, or undefined for a broadcast
+     */
+    request(unitId, functionCode, data, options) {
+        var frame;
+        try {
+            frame = buildFrame(unitId, functionCode, data);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+        var requestOptions = Object.assign({}, this.options.requestOptions, options);
+        if (unitId === 0) {
+            // No unit answers a broadcast: the request is over as soon as it is written
+            requestOptions.responseLength = 0;
+        }
+        debug(`unit ${unitId}, function ${functionCode}:`, frame);
+        return this.target.addRequest(frame, requestOptions).then(response => {
+            if (unitId === 0) return undefined;
+            return decodeResponse(response, unitId, functionCode);
+        });
+    }
+
+    _readBits(unitId, functionCode, address, quantity, options) {
+        var data;
+        try {
+            checkRange('quantity', quantity, 1, 2000);
+            data = encodeRange(address, quantity);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+        return this._read(unitId, functionCode, data, options).then(data => {
+            if (data[0] !== Math.ceil(quantity / 8) || data.length < 1 + data[0]) {
+                throw new errors.ModbusResponseError(`Expected ${quantity} values, received ${data[0]} bytes`, {quantity, data});
+            }
+            var values = [];
+            for (var i = 0; i < quantity; i++) {
+                values.push(Boolean((data[1 + (i >> 3)] >> (i & 7)) & 1));
+            }
+            return values;
+        });
+    }
+
+    _readRegisters(unitId, functionCode, address, quantity, options) {
+        var data;
+        try {
+            checkRange('quantity', quantity, 1, 125);
+            data = encodeRange(address, quantity);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+        return this._read(unitId, functionCode, data, options).then(data => decodeRegisters(data, quantity));
+    }
+
+    _read(unitId, functionCode, data, options) {
+        if (unitId === 0) {
+            return Promise.reject(new errors.InvalidRequestError('Read requests cannot be broadcast', {unitId, functionCode}));
+        }
+        return this.request(unitId, functionCode, data, options);
+    }
+
+    _write(unitId, functionCode, data, options) {
+        return this.request(unitId, functionCode, data, options).then(() => undefined);
+    }
+}
+
+function checkRange(name, value, min, max) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new errors.InvalidRequestError(`Invalid ${name} ${value}: expected an integer from ${min} to ${max}`, {[name]: value});
+    }
+}
+
+function getFrameGap(baudRate) {
+    // A character is 11 bits long on the line: start, 8 data bits, parity or second stop bit, stop
+    if (baudRate > 19200) return 1.75;
+    return 3.5 * 11 * 1000 / baudRate;
+}
+
+function encodeRange(address, quantity) {
+    checkRange('address', address, 0, 0xFFFF);
+    var data = Buffer.alloc(4);
+    data.writeUInt16BE(address, 0);
+    data.writeUInt16BE(quantity, 2);
+    return data;
+}
+
+function buildFrame(unitId, functionCode, data) {
+    checkRange('unitId', unitId, 0, 247);
+    checkRange('functionCode', functionCode, 1, 127);
+    var frame = Buffer.alloc(data.length + 4);
+    frame[0] = unitId;
+    frame[1] = functionCode;
+    Buffer.from(data).copy(frame, 2);
+    frame.writeUInt16LE(checksums.crc16Modbus(frame.slice(0, -2)), frame.length - 2);
+    return frame;
+}
+
+function decodeResponse(response, unitId, functionCode) {
+    var context = {unitId, functionCode, response};
+    if (!Buffer.isBuffer(response)) {
+        throw new errors.ModbusResponseError('The port must be in binary mode', context);
+    }
+    if (response.length === 0) {
+        throw new errors.ModbusResponseError(`No response from unit ${unitId}`, context);
+    }
+    if (response.length < 5 || response.readUInt16LE(response.length - 2) !== checksums.crc16Modbus(response.slice(0, -2))) {
+        throw new errors.ModbusResponseError('Invalid CRC in response', context);
+    }
+    if (response[0] !== unitId) {
+        throw new errors.ModbusResponseError(`Response from unit ${response[0]} to a request to unit ${unitId}`, context);
+    }
+    if (response[1] === (functionCode | 0x80)) {
+        var exceptionCode = response[2];
+        throw new errors.ModbusExceptionError(Object.assign(context, {
+            exceptionCode,
+            exceptionName: exceptionNames[exceptionCode] || 'UNKNOWN'
+        }));
+    }
+    if (response[1] !== functionCode) {
+        throw new errors.ModbusResponseError(`Response with function code ${response[1]} to a request with function code ${functionCode}`, context);
+    }
+    return response.slice(2, -2);
+}
+
+function decodeRegisters(data, quantity) {
+    if (data[0] !== 2 * quantity || data.length < 1 + 2 * quantity) {
+        throw new errors.ModbusResponseError(`Expected ${quantity} registers, received ${data[0] / 2}`, {quantity, data});
+    }
+    var registers = [];
+    for (var i = 0; i < quantity; i++) {
+        registers.push(data.readUInt16BE(1 + 2 * i));
+    }
+    return registers;
+}
+
+ModbusRtuClient.exceptionNames = exceptionNames;
+
+module.exports = ModbusRtuClient;
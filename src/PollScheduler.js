@@ -0,0 +1,232 @@
+'use strict';
+
+const EventEmitter = require('events');
+const debug = require('debug')('serial-requests:PollScheduler');
+const errors = require('./errors');
+const validation = require('./validation');
+
+const defaultOptions = {
+    priority: 'low'
+};
+
+const pollSchema = {
+    name: {type: 'string', nonEmpty: true, required: true},
+    id: {type: 'string', nonEmpty: true, required: true},
+    command: {type: ['string', 'buffer'], nonEmpty: true, required: true},
+    interval: {type: 'number', min: 1, required: true},
+    parse: {type: 'function'},
+    priority: {type: 'string'},
+    options: {type: 'object'}
+};
+
+/**
+ * Sends commands to devices of a DeviceManager at regular intervals, and emits the parsed responses.
+ *
+ * A poll only runs while its device is connected: it starts once the device is connected (new or connect event),
+ * stops when it disconnects and starts again when it reconnects, polling right away each time. Devices are found by
+ * DeviceManager#refresh or while the DeviceManager is watching. If the previous request of a poll is still queued or
+ * being executed when the next one is due, that tick is skipped so that a slow device does not accumulate requests.
+ * @constructor
+ * @param {DeviceManager} deviceManager
+ * @param {object} [options]
+ * @param {string} [options.priority='low'] - Default priority of the poll requests, so that they give way to the other
+ * requests
+ */
+class PollScheduler extends EventEmitter {
+    /**
+     * sample event
+     * A poll received a response
+     *
+     * @event PollScheduler#sample
+     * @type {object}
+     * @property {string} name - The name of the poll
+     * @property {string} id - The device id
+     * @property {*} value - The response, parsed with the parse function of the poll if it has one
+     * @property {string|Buffer} response - The raw response
+     * @property {number} timestamp - The time the response was received, in ms
+     * @property {number} duration - The time in ms between the moment the request was queued and the response
+     */
+
+    /**
+     * pollError event
+     * A poll request failed, or its response could not be parsed
+     *
+     * @event PollScheduler#pollError
+     * @type {object}
+     * @property {string} name - The name of the poll
+     * @property {string} id - The device id
+     * @property {Error} error
+     * @property {number} timestamp - The time of the failure, in ms
+     */
+
+    constructor(deviceManager, options) {
+        super();
+        this.deviceManager = deviceManager;
+        this.options = Object.assign({}, defaultOptions, options);
+        this.polls = new Map();
+        this.listeners = {
+            new: event => this._resumeDevice(event.id),
+            connect: event => this._resumeDevice(event.id),
+            disconnect: event => this._pauseDevice(event.id)
+        };
+        Object.keys(this.listeners).forEach(event => deviceManager.on(event, this.listeners[event]));
+    }
+
+    /**
+     * Register a poll. It starts right away if its device is connected.
+     * @param {object} poll
+     * @param {string} poll.name - A unique name
+     * @param {string} poll.id - The id of the device
+     * @param {string|Buffer} poll.command - The command to send
+     * @param {number} poll.interval - Interval in ms between two requests
+     * @param {function} [poll.parse] - Receives the response and returns the value of the sample. If it throws, a
+     * pollError event is emitted instead of a sample.
+     * @param {string} [poll.priority] - Priority of the requests. Defaults to the priority option of the scheduler.
+     * @param {object} [poll.options] - Other request options, such as a timeout. See DeviceManager#addRequest.
+     * @throws {ConfigError} If the poll is invalid or its name is already used
+     */
+    add(poll) {
+        var problems = [];
+        if (poll === undefined) {
+            problems.push('poll: required');
+        }
+        validation.validateSchema(poll, pollSchema, 'poll', problems);
+        if (!problems.length && this.polls.has(poll.name)) {
+            problems.push(`poll.name: a poll named ${JSON.stringify(poll.name)} already exists`);
+        }
+        if (problems.length) {
+            throw new errors.ConfigError(problems, {poll: poll && poll.name});
+        }
+        var entry = {
+            definition: poll,
+            timer: null,
+            pending: false,
+            skipped: 0,
+            lastSample: null
+        };
+        this.polls.set(poll.name, entry);
+        debug(`added poll ${poll.name} on device ${poll.id}`);
+        var status = this.deviceManager.getDeviceStatus(poll.id);
+        if (status && status.ready) {
+            this._start(entry);
+        }
+    }
+
+    /**
+     * Stop and unregister a poll. A request already sent still completes, but emits no event.
+     * @param {string} name
+     * @return {boolean} Whether the poll existed
+     */
+    remove(name) {
+        var entry = this.polls.get(name);
+        if (!entry) return false;
+        this._stop(entry);
+        this.polls.delete(name);
+        debug(`removed poll ${name}`);
+        return true;
+    }
+
+    /**
+     * List the registered polls
+     * @return {Array<object>} For each poll, its name, device id, command and interval, whether it is running (active),
+     * whether a request is queued or being executed (pending), the number of skipped ticks (skipped) and the last
+     * sample (lastSample)
+     */
+    getPolls() {
+        return Array.from(this.polls.values()).map(entry => ({
+            name: entry.definition.name,
+            id: entry.definition.id,
+            command: entry.definition.command,
+            interval: entry.definition.interval,
+            active: entry.timer !== null,
+            pending: entry.pending,
+            skipped: entry.skipped,
+            lastSample: entry.lastSample
+        }));
+    }
+
+    /**
+     * Stop all the polls and stop listening to the DeviceManager. The DeviceManager is not closed.
+     */
+    close() {
+        Object.keys(this.listeners).forEach(event => this.deviceManager.removeListener(event, this.listeners[event]));
+        this.polls.forEach(entry => this._stop(entry));
+        this.polls.clear();
+    }
+
+    _resumeDevice(id) {
+        this.polls.forEach(entry => {
+            if (entry.definition.id === id && entry.timer === null) {
+                debug(`resuming poll ${entry.definition.name}`);
+                this._start(entry);
+            }
+        });
+    }
+
+    _pauseDevice(id) {
+        this.polls.forEach(entry => {
+            if (entry.definition.id === id && entry.timer !== null) {
+                debug(`pausing poll ${entry.definition.name}`);
+                this._stop(entry);
+            }
+        });
+    }
+
+    _start(entry) {
+        entry.timer = setInterval(() => this._tick(entry), entry.definition.interval);
+        this._tick(entry);
+    }
+
+    _stop(entry) {
+        clearInterval(entry.timer);
+        entry.timer = null;
+    }
+
+    _tick(entry) {
+        var poll = entry.definition;
+        if (entry.pending) {
+            entry.skipped++;
+            debug(`skipping poll ${poll.name}, the previous request is not finished`);
+            return;
+        }
+        entry.pending = true;
+        var requestedAt = Date.now();
+        var options = Object.assign({tag: `poll:${poll.name}`, priority: this.options.priority}, poll.options);
+        if (poll.priority) options.priority = poll.priority;
+        this.deviceManager.addRequest(poll.id, poll.command, options).then(response => {
+            entry.pending = false;
+            if (this.polls.get(poll.name) !== entry) return;
+            var timestamp = Date.now();
+            var value = response;
+            if (poll.parse) {
+                try {
+                    value = poll.parse(response);
+                } catch (err) {
+                    this._emitError(entry, err);
+                    return;
+                }
+            }
+            entry.lastSample = {value, timestamp};
+            this.emit('sample', {
+                name: poll.name,
+                id: poll.id,
+                value,
+                response,
+                timestamp,
+                duration: timestamp - requestedAt
+            });
+        }, err => {
+            entry.pending = false;
+            if (this.polls.get(poll.name) !== entry) return;
+            this._emitError(entry, err);
+        });
+    }
+
+    _emitError(entry, err) {
+        var poll = entry.definition;
+        debug(`poll ${poll.name} failed: ${err.message}`);
+        this.emit('pollError', {name: poll.name, id: poll.id, error: err, timestamp: Date.now()});
+    }
+}
+
+module.exports = PollScheduler;
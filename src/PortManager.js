@@ -2,26 +2,94 @@
 
 
 const EventEmitter = require('events');
-const SerialPort = require('serialport');
+const StringDecoder = require('string_decoder').StringDecoder;
 const debug = require('debug')('serial-requests:PortManager');
+const completion = require('./completion');
+const abort = require('./abort');
+const errors = require('./errors');
+const SerialTransport = require('./transports/SerialTransport');
+const retry = require('./retry');
+const reconnectionPolicy = require('./reconnectionPolicy');
+const unsolicited = require('./unsolicited');
+const commands = require('./commands');
+const codecs = require('./codecs');
+const portOptions = require('./portOptions');
 
 const defaultOptions = {
     maxQLength: 30,
+    maxQLengthByPriority: {},
+    priorities: ['high', 'normal', 'low'],
+    defaultPriority: 'normal',
+    retries: 0,
+    retryDelay: 100,
+    retryBackoff: 'fixed',
+    retryOn: [errors.ResponseValidationError, errors.ChecksumError, errors.FramingError],
     serialResponseTimeout: 200,
     getIdResponseParser: function (buffer) {
         return buffer;
     }
 };
 
-const enforcedOptions = {
-    parser: SerialPort.parsers.raw
-};
-
 
 /**
  * @constructor
- * @param {string} port - The serial port to connect to
- * @param {object|function} options - options
+ * @param {string} port - The serial port to connect to. With other transports, the comName of the port as listed by
+ * the transport.
+ * @param {object|function} options - options, or an optionCreator receiving the port description and returning them.
+ * The options are validated each time the port is opened. If they are invalid, the port is not opened and its status
+ * becomes 10 (Invalid options), with a message listing all the problems, until reconnect is called.
+ * @param {number} [options.serialResponseTimeout=200] - Silence in ms after which a request is considered finished
+ * @param {number} [options.interCharTimeout] - Once the response has started, silence in ms after which a request is
+ * considered finished. Defaults to serialResponseTimeout, which then only applies while waiting for the first byte.
+ * @param {number} [options.interRequestDelay=0] - Minimum delay in ms between the end of a request and the write of the
+ * next one
+ * @param {number} [options.maxQLength=30] - Maximum number of requests of a given priority in the queue, including the
+ * request being executed
+ * @param {Array<string>} [options.priorities=['high', 'normal', 'low']] - Priority classes, from highest to lowest.
+ * Higher-priority requests are written before the lower-priority requests that are waiting in the queue.
+ * @param {string} [options.defaultPriority='normal'] - Priority of requests that do not specify one
+ * @param {object} [options.maxQLengthByPriority={}] - Maximum queue length per priority class, for example
+ * `{low: 5}`. Classes that are not listed use maxQLength.
+ * @param {number} [options.retries=0] - Number of times a failed request is retried
+ * @param {number} [options.retryDelay=100] - Base delay in ms before retrying a failed request
+ * @param {string|function} [options.retryBackoff='fixed'] - How the delay grows with each attempt: 'fixed', 'linear',
+ * 'exponential', or a function receiving the number of failed attempts and retryDelay and returning the delay in ms
+ * @param {Array|function} [options.retryOn=[ResponseValidationError, ChecksumError, FramingError]] - Error classes or
+ * error codes that are retried, or a function receiving the error and telling if it should be retried. A request is
+ * only retried while the device is ready: a write error closes the port, so retrying a WriteError fails with a
+ * DeviceNotReadyError unless the port is identified again in the meantime.
+ * @param {boolean} [options.binary=false] - In binary mode, commands can be Buffers or Uint8Arrays and responses are
+ * Buffers. checkResponse and getIdResponseParser then receive the raw bytes. A device id returned as bytes, as by the
+ * default getIdResponseParser, is converted to a hexadecimal string.
+ * @param {object|Array<object>} [options.codec] - Encodes commands before they are written and decodes responses, for
+ * example `[codecs.crc16(), codecs.slip()]`. See the codecs module for the built-in codecs. With a framing codec, a
+ * request is finished as soon as a complete frame is received. A response that cannot be decoded rejects the request
+ * with a ChecksumError or a FramingError. The decoded response is a string unless in binary mode. Unsolicited data is
+ * not decoded.
+ * @param {object} [options.commands] - Named command definitions, used by the command method. Each definition has a
+ * command template such as 'T{channel}\n' or a function formatting the arguments, an optional response pattern the
+ * response must match, an optional parse function, and optional request options. See PortManager#command.
+ * @param {object} [options.unsolicited] - Enables the detection of data the device sends on its own. Data received
+ * while no request is in flight is then emitted in unsolicited events instead of being prepended to the next response.
+ * @param {string|Buffer|Array<number>} [options.unsolicited.terminator] - Splits unsolicited data into frames. Without
+ * it, unsolicited data is emitted once the port is silent for serialResponseTimeout ms.
+ * @param {RegExp|function} [options.unsolicited.match] - Identifies unsolicited frames received during a request. The
+ * complete frames matching it are removed from the response. Requires a terminator. If a match function throws, the
+ * request in flight is rejected with its error once the device stops sending.
+ * @param {function} [options.unsolicited.parse] - Parses unsolicited frames. The result is given in the event.
+ * @param {object} [options.reconnection] - Policy for reconnecting to the port: initialDelay, factor, jitter, maxDelay
+ * and maxAttempts. By default the port is retried every 2 seconds forever. When options are given as an optionCreator,
+ * the policy applies once the port has been found once.
+ * @param {object} [options.initRetry] - Policy for retrying the identification of the device, with the same properties
+ * as the reconnection policy
+ * @param {object} [transport] - The transport used to list and open the port, such as SerialTransport, TcpTransport or
+ * UnixSocketTransport. Defaults to a SerialTransport.
+ * @param {string|Buffer|Array<number>} [options.terminator] - A request is finished as soon as its response contains
+ * this sequence
+ * @param {RegExp} [options.responsePattern] - A request is finished as soon as its response matches this pattern
+ * @param {number} [options.responseLength] - A request is finished as soon as its response has this length
+ * @param {function} [options.isComplete] - A request is finished as soon as this function returns true for its response.
+ * If it throws, the request is rejected with its error once the device stops sending.
  */
 class PortManager extends EventEmitter {
     /**
@@ -74,50 +142,458 @@ class PortManager extends EventEmitter {
      * @property {string} id -  Device id
      */
 
+    /**
+     * unsolicited event
+     * The device sent data that was not requested
+     *
+     * @event PortManager#unsolicited
+     * @type {object}
+     * @property {string|Buffer} data - The received frame
+     * @property {*} [parsed] - The frame parsed with the unsolicited.parse option
+     * @property {Error} [error] - The error thrown by the unsolicited.parse option
+     */
+
+    /**
+     * giveUp event
+     * The maximum number of attempts of the reconnection or identification policy was reached. Call reconnect to try
+     * again.
+     *
+     * @event PortManager#giveUp
+     * @type {object}
+     * @property {string} reason - 'reconnection' or 'init'
+     * @property {number} attempts - The number of failed attempts
+     */
+
+    /**
+     * write event
+     * A command is about to be written to the port
+     *
+     * @event PortManager#write
+     * @type {string|Buffer}
+     */
+
+    /**
+     * statusChanged event
+     * The status of the port changed
+     *
+     * @event PortManager#statusChanged
+     * @type {object}
+     * @property {number} code - The status code
+     * @property {string} status - A description of the status
+     * @property {string} color - A color representing the status, for user interfaces
+     * @property {string} [message] - Details, such as the reason of a failure
+     */
 
-    constructor(port, options) {
+    /**
+     * data event
+     * Data was received from the port, before any processing
+     *
+     * @event PortManager#data
+     * @type {Buffer}
+     */
+
+
+    constructor(port, options, transport) {
         super();
         if (typeof options === 'function') {
             this.optionCreator = options;
         } else {
-            this.options = Object.assign({}, defaultOptions, options, enforcedOptions);
+            this.options = Object.assign({}, defaultOptions, options);
         }
+        this.transport = transport || new SerialTransport();
         this.comName = port;
         this.portInfo = null;
         this.queueLength = 0;
         this.buffer = '';
-        this.lastRequest = Promise.resolve(''); // The Last received request
+        this.queue = []; // The requests waiting to be executed
+        this.inFlight = null; // The request being executed
+        this.lastRequestEndedAt = 0;
         this.currentRequest = Promise.resolve(''); // The current request being executed
+        this.reconnectionAttempts = 0;
+        this.initAttempts = 0;
+        this.closing = false;
         this._reconnectionAttempt();
     }
 
+    /**
+     * Close the port and stop reconnecting to it. New requests are rejected with a ClosedError.
+     * @param {object} [options]
+     * @param {boolean} [options.drain=false] - If true, the queued requests are executed before closing the port.
+     * Otherwise they are rejected with a ClosedError, and the response to the in-flight request is discarded.
+     * @return {Promise} A promise resolving once the port is closed and all timers are cleared
+     */
+    close(options) {
+        options = options || {};
+        if (this.closePromise) return this.closePromise;
+        debug('closing port manager', this.comName);
+        this.closing = true;
+        clearTimeout(this.reconnectionTimeout);
+        clearTimeout(this.initTimeout);
+        clearTimeout(this.unsolicitedTimeout);
+        if (!options.drain) {
+            this._rejectPending();
+        }
+        this.closePromise = this._waitIdle()
+            .then(() => this._closePort())
+            .then(() => {
+                this._updateStatus(4);
+                debug('port manager closed', this.comName);
+            });
+        return this.closePromise;
+    }
+
+    /**
+     * Try right away to connect again to a port that could not be found, for which the manager gave up, or whose
+     * options were invalid. The options are created again. Resets the attempt counters.
+     */
+    reconnect() {
+        this.reconnectionAttempts = 0;
+        this.initAttempts = 0;
+        if (this.statusCode === 5 || this.statusCode === 8 || this.statusCode === 10) {
+            clearTimeout(this.reconnectionTimeout);
+            this._reconnectionAttempt();
+        } else if (this.statusCode === 9) {
+            this._serialPortInit();
+        }
+    }
+
     /**
      * Send a request to the port
-     * @param {string} cmd - The data to send to the serial port
+     * @param {string|Buffer|Uint8Array} cmd - The data to send to the serial port. Buffers and Uint8Arrays are only
+     * accepted in binary mode.
      * @param {object} [options={}] - Request options
      * @param {object} [options.timeout=200] - Timeout in ms. This is used to know when a request is considered finished.
      * A request is considered finished when the serial port stopped receiving data for more than the given timeout.
-     * @return {Promise.<string>} - A promise resolving with response to the request
+     * @param {string|Buffer|Array<number>} [options.terminator] - Overrides the port's completion strategy
+     * @param {RegExp} [options.responsePattern] - Overrides the port's completion strategy
+     * @param {number} [options.responseLength] - Overrides the port's completion strategy
+     * @param {function} [options.isComplete] - Overrides the port's completion strategy
+     * @param {AbortSignal} [options.signal] - Aborting the signal rejects the request. A queued request is dropped without
+     * being written. The response of an in-flight request is discarded once the device stops sending it.
+     * @param {string} [options.priority] - The priority class of the request. Defaults to the defaultPriority option.
+     * @param {number} [options.retries] - Overrides the port's retries option
+     * @param {number} [options.retryDelay] - Overrides the port's retryDelay option
+     * @param {string|function} [options.retryBackoff] - Overrides the port's retryBackoff option
+     * @param {Array|function} [options.retryOn] - Overrides the port's retryOn option
+     * @param {*} [options.tag] - Any value identifying the caller, returned by getRequests
+     * @return {Promise.<string|Buffer>} - A promise resolving with response to the request. The response is a Buffer in
+     * binary mode. When the request fails after being sent, the error has an attempts property listing the error code
+     * and message, start and end time of each attempt.
      */
     addRequest(cmd, options) {
         options = options || {};
-        if (!this.ready && (cmd !== this.options.getIdCommand)) return Promise.reject(new Error('Device is not ready'));
-        if (this.queueLength > this.options.maxQLength) {
-            debug('max Queue length reached for device :', this.deviceId);
-            return Promise.reject(new Error('Maximum Queue size exceeded, wait for commands to be processed'));
+        if (options.signal && options.signal.aborted) {
+            return Promise.reject(new errors.AbortError(this._getErrorContext(cmd)));
+        }
+        if (this.closing) {
+            return Promise.reject(new errors.ClosedError(this._getErrorContext(cmd)));
+        }
+        // With an optionCreator, the options are only known once the port is found
+        if (!this.options || (!this.ready && (cmd !== this.options.getIdCommand))) {
+            return Promise.reject(new errors.DeviceNotReadyError(this._getErrorContext(cmd)));
+        }
+        var priority = options.priority || this.options.defaultPriority;
+        var rank = this.options.priorities.indexOf(priority);
+        if (rank === -1) {
+            return Promise.reject(new errors.InvalidRequestError(`Unknown request priority: ${priority}`, this._getErrorContext(cmd)));
+        }
+        if (this._countRequests(priority) >= this._getMaxQLength(priority)) {
+            debug(`max Queue length reached for priority ${priority} on device :`, this.deviceId);
+            var context = this._getErrorContext(cmd);
+            context.priority = priority;
+            return Promise.reject(new errors.QueueFullError(context));
         }
         this.queueLength++;
         debug('adding request to serialQ for device :', this.deviceId);
         debug('number of requests in Queue :', this.queueLength);
-        this.lastRequest = this.lastRequest.then(this._appendRequest(cmd, options.timeout), this._appendRequest(cmd, options.timeout));
-        return this.lastRequest;
+        return new Promise((resolve, reject) => {
+            var request = {cmd, options, priority, rank, resolve, reject, deviceId: this.deviceId, enqueuedAt: Date.now()};
+            if (options.signal) {
+                request.removeAbortListener = abort.onAbort(options.signal, () => this._abortRequest(request));
+            }
+            // Insert after the last waiting request with the same or a higher priority
+            var index = this.queue.findIndex(queued => queued.rank > rank);
+            if (index === -1) {
+                this.queue.push(request);
+            } else {
+                this.queue.splice(index, 0, request);
+            }
+            this._processQueue();
+        });
+    }
+
+    _getErrorContext(cmd, buffer) {
+        return {
+            deviceId: this.deviceId,
+            port: this.comName,
+            command: cmd,
+            buffer
+        };
+    }
+
+    _countRequests(priority) {
+        var count = this.queue.filter(request => request.priority === priority).length;
+        if (this.inFlight && this.inFlight.priority === priority) count++;
+        return count;
+    }
+
+    _getMaxQLength(priority) {
+        var maxQLength = this.options.maxQLengthByPriority[priority];
+        return maxQLength === undefined ? this.options.maxQLength : maxQLength;
+    }
+
+    /**
+     * Send a named command defined in the commands option and parse its response
+     * @example
+     * // with the option commands: {readTemperature: {command: 'T{channel}\n', response: /^T\d=(.*)\r\n$/, parse: (res, m) => Number(m[1])}}
+     * portManager.command('readTemperature', {channel: 2}).then(temperature => console.log(temperature));
+     * @param {string} name - The name of the command
+     * @param {object} [args={}] - The arguments of the command
+     * @param {object} [options] - Request options, overriding the ones of the command definition. See addRequest.
+     * @return {Promise.<*>} A promise resolving with the parsed response
+     */
+    command(name, args, options) {
+        args = args || {};
+        var definition = this.options && this.options.commands && this.options.commands[name];
+        if (!definition) {
+            return Promise.reject(new errors.InvalidRequestError(`Unknown command: ${name}`, this._getErrorContext()));
+        }
+        var cmd;
+        try {
+            cmd = commands.formatCommand(definition, args);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+        return this.addRequest(cmd, Object.assign({}, definition.options, options)).then(response => {
+            return commands.parseResponse(definition, response, args, this._getErrorContext(cmd));
+        });
+    }
+
+    /**
+     * List the request being executed and the queued requests, in the order in which they will be executed
+     * @return {Array<object>} For each request: the command, its state ('inFlight' or 'queued'), its priority, the tag
+     * given by the caller, the time it was enqueued (enqueuedAt) and started (startedAt, in ms), and the number of failed
+     * attempts
+     */
+    getRequests() {
+        var requests = this.inFlight ? [this.inFlight].concat(this.queue) : this.queue;
+        return requests.map(request => ({
+            command: request.cmd,
+            state: request === this.inFlight ? 'inFlight' : 'queued',
+            priority: request.priority,
+            tag: request.options.tag,
+            enqueuedAt: request.enqueuedAt,
+            startedAt: request.startedAt,
+            failedAttempts: request.attempts ? request.attempts.length : 0
+        }));
+    }
+
+    _processQueue() {
+        if (this.inFlight || this.queue.length === 0) return;
+        var request = this.queue.shift();
+        this.inFlight = request;
+        request.startedAt = Date.now();
+        var execution;
+        var gap = (this.options.interRequestDelay || 0) - (request.startedAt - this.lastRequestEndedAt);
+        if (gap > 0) {
+            // Keep the line silent between two requests
+            execution = new Promise(resolve => setTimeout(resolve, gap)).then(() => this._executeWithRetries(request));
+        } else {
+            execution = this._executeWithRetries(request);
+        }
+        request.done = execution.then(response => {
+            this._endRequest(request);
+            request.resolve(response);
+            this._processQueue();
+        }, err => {
+            this._endRequest(request);
+            request.reject(err);
+            this._processQueue();
+        });
+    }
+
+    _executeWithRetries(request) {
+        var retryOptions = retry.selectRetryOptions(this.options, request.options);
+        var attempts = request.attempts = [];
+        var attempt = () => {
+            // An aborted request is not retried
+            if (request.aborted) return Promise.resolve();
+            if (attempts.length && !this.ready && request.cmd !== this.options.getIdCommand) {
+                // The port was closed or is being identified again: the request must not reach an unidentified device.
+                // If another device is identified, _executeRequest rejects the request with a DeviceIdMismatchError.
+                var notReady = new errors.DeviceNotReadyError(this._getErrorContext(request.cmd));
+                notReady.attempts = attempts;
+                return Promise.reject(notReady);
+            }
+            var startedAt = Date.now();
+            return this._executeRequest(request).catch(err => {
+                // Only a summary of the error is kept: the final error refers to the attempts, which must stay serializable
+                attempts.push({code: err.code, message: err.message, startedAt, endedAt: Date.now()});
+                if (request.aborted || attempts.length > retryOptions.retries || !retry.shouldRetry(retryOptions.retryOn, err)) {
+                    err.attempts = attempts;
+                    throw err;
+                }
+                var delay = retry.getRetryDelay(retryOptions, attempts.length);
+                debug(`attempt ${attempts.length} failed (${err.message}), retrying in ${delay} ms`);
+                return new Promise(resolve => setTimeout(resolve, delay)).then(attempt);
+            });
+        };
+        return attempt();
+    }
+
+    _waitIdle() {
+        if (!this.inFlight) return Promise.resolve();
+        return this.inFlight.done.then(() => this._waitIdle());
+    }
+
+    _rejectPending() {
+        this.queue.splice(0).forEach(request => {
+            this._endRequest(request);
+            request.reject(new errors.ClosedError(this._getErrorContext(request.cmd)));
+        });
+        if (this.inFlight) {
+            this.inFlight.aborted = true;
+            this.inFlight.reject(new errors.ClosedError(this._getErrorContext(this.inFlight.cmd)));
+        }
+    }
+
+    _closePort() {
+        return new Promise(resolve => {
+            if (!this.port || !this.port.isOpen) {
+                resolve();
+                return;
+            }
+            this._updateStatus(6);
+            this.port.close(err => {
+                if (err) debug(`could not close port ${this.comName}: ${err.message}`);
+                resolve();
+            });
+        });
+    }
+
+    _endRequest(request) {
+        if (this.inFlight === request) {
+            this.inFlight = null;
+            this.lastRequestEndedAt = Date.now();
+        }
+        this.queueLength--;
+        if (request.removeAbortListener) request.removeAbortListener();
+    }
+
+    _abortRequest(request) {
+        var index = this.queue.indexOf(request);
+        if (index !== -1) {
+            debug('dropping aborted request from the queue of device :', this.deviceId);
+            this.queue.splice(index, 1);
+            this._endRequest(request);
+        } else {
+            // The request is in flight: the port keeps waiting for the end of the response so that it does not leak into
+            // the next request
+            debug('aborting in-flight request of device :', this.deviceId);
+            request.aborted = true;
+        }
+        request.reject(new errors.AbortError(this._getErrorContext(request.cmd)));
     }
 
     _updateOptions() {
-        if (this.optionCreator) {
-            this.options = this.optionCreator(this.portInfo);
+        var problems;
+        try {
+            if (this.optionCreator) {
+                this.options = this.optionCreator(this.portInfo);
+            }
+            this.options = Object.assign({}, defaultOptions, this.options);
+            problems = portOptions.validate(this.options);
+        } catch (err) {
+            problems = [`optionCreator threw: ${err.message}`];
         }
-        this.options = Object.assign({}, defaultOptions, this.options, enforcedOptions);
+        if (problems.length) {
+            throw new errors.ConfigError(problems, {port: this.comName});
+        }
+    }
+
+    _resetBuffer() {
+        this.buffer = this._isByteMode() ? Buffer.alloc(0) : '';
+    }
+
+    _resetUnsolicitedBuffer() {
+        this.unsolicitedBuffer = this._isByteMode() ? Buffer.alloc(0) : '';
+    }
+
+    _isByteMode() {
+        // Codecs work on the received bytes, whatever the type of the responses
+        return Boolean(this.options.binary || this.options.codec);
+    }
+
+    _receive(data) {
+        // The decoder keeps incomplete multibyte sequences until the rest of the sequence arrives
+        var byteMode = this._isByteMode();
+        var chunk = byteMode ? data : this.decoder.write(data);
+        var unsolicitedOptions = this.options.unsolicited;
+        // Data is part of a response only while a request waits for it
+        if (unsolicitedOptions && !this._checkCompletion) {
+            this._receiveUnsolicited(chunk);
+            return;
+        }
+        this.buffer = unsolicited.concat([this.buffer, chunk], byteMode);
+        if (unsolicitedOptions && unsolicitedOptions.terminator !== undefined && unsolicitedOptions.match) {
+            var extracted;
+            try {
+                extracted = unsolicited.extractFrames(
+                    this.buffer,
+                    completion.normalizeSequence(unsolicitedOptions.terminator, byteMode),
+                    unsolicited.createMatcher(unsolicitedOptions.match, byteMode),
+                    byteMode
+                );
+            } catch (err) {
+                // An error thrown in the data handler would be uncaught
+                this._failRequest(err);
+                return;
+            }
+            this.buffer = extracted.buffer;
+            extracted.frames.forEach(frame => this._emitUnsolicited(frame));
+        }
+        if (this._checkCompletion) this._checkCompletion();
+    }
+
+    _receiveUnsolicited(chunk) {
+        var terminator = this.options.unsolicited.terminator;
+        var byteMode = this._isByteMode();
+        this.unsolicitedBuffer = unsolicited.concat([this.unsolicitedBuffer, chunk], byteMode);
+        if (terminator !== undefined) {
+            var split = unsolicited.splitFrames(this.unsolicitedBuffer, completion.normalizeSequence(terminator, byteMode));
+            this.unsolicitedBuffer = split.rest;
+            split.frames.forEach(frame => this._emitUnsolicited(frame));
+        }
+        // What remains is emitted once the device stops sending
+        clearTimeout(this.unsolicitedTimeout);
+        if (this.unsolicitedBuffer.length) {
+            this.unsolicitedTimeout = setTimeout(() => {
+                this._flushUnsolicited();
+            }, this.options.serialResponseTimeout);
+        }
+    }
+
+    _flushUnsolicited() {
+        clearTimeout(this.unsolicitedTimeout);
+        if (this.unsolicitedBuffer && this.unsolicitedBuffer.length) {
+            var frame = this.unsolicitedBuffer;
+            this._resetUnsolicitedBuffer();
+            this._emitUnsolicited(frame);
+        }
+    }
+
+    _emitUnsolicited(frame) {
+        debug('received unsolicited data:', frame);
+        var event = {data: frame};
+        if (this.options.unsolicited.parse) {
+            try {
+                event.parsed = this.options.unsolicited.parse(frame);
+            } catch (err) {
+                debug(`could not parse unsolicited data: ${err.message}`);
+                event.error = err;
+            }
+        }
+        this.emit('unsolicited', event);
     }
 
     _serialPortInit() {
@@ -125,12 +601,16 @@ class PortManager extends EventEmitter {
         this.addRequest(this.options.getIdCommand)
             .then(buffer => {
                 debug(`received init command response: ${JSON.stringify(buffer)}`);
-                if (!buffer) {
-                    throw new Error('Empty buffer when reading qualifier');
+                if (!buffer || !buffer.length) {
+                    throw new errors.IdentificationError('Empty buffer when reading qualifier', this._getErrorContext(this.options.getIdCommand, buffer));
                 }
                 var deviceId = this.options.getIdResponseParser(buffer);
+                if (deviceId instanceof Uint8Array) {
+                    // Buffers cannot be compared with === nor used as keys
+                    deviceId = Buffer.from(deviceId).toString('hex');
+                }
                 if (!deviceId) {
-                    throw new Error('Device id parsing returned empty result');
+                    throw new errors.IdentificationError('Device id parsing returned empty result', this._getErrorContext(this.options.getIdCommand, buffer));
                 } else if (this.deviceId && (this.deviceId !== deviceId)) {
                     this.deviceId = deviceId;
                     debug(`Device Id changed to: ${deviceId}`);
@@ -147,7 +627,7 @@ class PortManager extends EventEmitter {
                     this.emit('reinitialized', {id: this.deviceId});
                     debug(`Serial port re-initialized: ${this.deviceId}`);
                 }
-
+                this.initAttempts = 0;
             })
             .catch(err => {
                 this._updateStatus(7, err.message);
@@ -156,12 +636,22 @@ class PortManager extends EventEmitter {
     }
 
     _scheduleInit() {
+        // A closed port is identified again once the reconnection reopens it
+        if (this.closing || !this.port || !this.port.isOpen) return;
         if (this.initTimeout) {
             clearTimeout(this.initTimeout);
         }
+        var policy = reconnectionPolicy.createPolicy(this.options.initRetry);
+        this.initAttempts++;
+        if (this.initAttempts >= policy.maxAttempts) {
+            debug(`giving up identifying the device on ${this.comName} after ${this.initAttempts} attempts`);
+            this._updateStatus(9);
+            this.emit('giveUp', {reason: 'init', attempts: this.initAttempts});
+            return;
+        }
         this.initTimeout = setTimeout(() => {
             this._serialPortInit();
-        }, 2000);
+        }, reconnectionPolicy.getDelay(policy, this.initAttempts));
     }
 
     _updateStatus(code, message) {
@@ -207,6 +697,18 @@ class PortManager extends EventEmitter {
                 this.statusColor = 'Tomato';
                 this.status = 'Init command failed';
                 break;
+            case 8:
+                this.statusColor = 'DarkRed';
+                this.status = 'Gave up connecting to the port';
+                break;
+            case 9:
+                this.statusColor = 'DarkRed';
+                this.status = 'Gave up identifying the device';
+                break;
+            case 10:
+                this.statusColor = 'DarkRed';
+                this.status = 'Invalid options';
+                break;
             default:
                 this.status = 'Undefined State';
                 this.statusColor = 'LightGrey';
@@ -222,155 +724,292 @@ class PortManager extends EventEmitter {
             this.emit('statusChanged', {
                 code: this.statusCode,
                 status: this.status,
+                color: this.statusColor,
                 message
             });
         }
     }
 
-    _appendRequest(cmd, timeout) {
+    _executeRequest(request) {
         var that = this;
-        var callId = this.deviceId;
-        timeout = timeout || this.options.serialResponseTimeout;
-        return () => {
-            this.currentRequest = new Promise((resolve, reject) => {
-                var bufferSize = 0;
-                if (this.deviceId !== null && cmd !== this.options.getIdCommand) {
-                    if (callId !== this.deviceId) {
-                        _reject(new Error('invalid id'));
-                        return;
-                    }
+        var cmd = request.cmd;
+        var options = request.options;
+        var callId = request.deviceId;
+        var timeout = options.timeout || this.options.serialResponseTimeout;
+        var interCharTimeout = options.interCharTimeout || this.options.interCharTimeout;
+        var completionOptions = completion.selectCompletionOptions(this.options, options);
+        var isComplete = completion.createCompletionCheck(completionOptions, this._isByteMode());
+        var codec = this.options.codec ? codecs.compose(this.options.codec) : null;
+        if (codec) {
+            cmd = Buffer.from(codec.encode(Buffer.isBuffer(cmd) ? cmd : Buffer.from(cmd)));
+        } else if (this.options.binary && !Buffer.isBuffer(cmd)) {
+            cmd = Buffer.from(cmd);
+        }
+        this.currentRequest = new Promise((resolve, reject) => {
+            var bufferSize = 0;
+            var finished = false;
+            var decoded = null;
+            var failure = null;
+            if (this.deviceId !== null && request.cmd !== this.options.getIdCommand) {
+                if (callId !== this.deviceId) {
+                    var context = this._getErrorContext(request.cmd);
+                    context.expectedDeviceId = callId;
+                    _reject(new errors.DeviceIdMismatchError(context));
+                    return;
+                }
+            }
+
+            // Unsolicited data received before the request must not be mistaken for its response
+            if (this.options.unsolicited) this._flushUnsolicited();
+            this._checkCompletion = checkCompletion;
+            this._failRequest = fail;
+            debug('Sending command:', cmd);
+            this.emit('write', cmd);
+            this.port.write(cmd, err => {
+                if (finished) return;
+                if (err) {
+                    this._handleWriteError(err);
+                    debug('write error occurred: ', err);
+                    var context = this._getErrorContext(request.cmd);
+                    context.cause = err;
+                    _reject(new errors.WriteError(context));
+                } else if (!checkCompletion()) {
+                    doTimeout(true);
+                }
+            });
+
+            function checkCompletion() {
+                // called each time data is received, ends the request early if the response is complete
+                if (finished || failure) return false;
+                var complete;
+                try {
+                    complete = codec && codec.framing ? decodeResponse() : isComplete && isComplete(that.buffer);
+                } catch (err) {
+                    // The isComplete option threw
+                    fail(err);
+                    return false;
                 }
+                if (!complete) return false;
+                clearTimeout(that.timeout);
+                finish();
+                return true;
+            }
+
+            function fail(err) {
+                // The request is rejected once the device stops sending, so that the rest of the response does not leak
+                // into the next request
+                if (finished || failure) return;
+                debug('The request failed while receiving the response', err.message);
+                failure = err;
+            }
+
+            function doTimeout(force) {
+                // keeps calling itself "recursively" as long as the request was not served
+                if (bufferSize < that.buffer.length || force) {
+                    // We received something or we force renewal: we wait for another round
+                    bufferSize = that.buffer.length;
+                    that.timeout = setTimeout(() => {
+                        doTimeout();
+                    }, bufferSize > 0 && interCharTimeout ? interCharTimeout : timeout);
+                } else {
+                    // We haven't received new data, the request is considered to be over
+                    finish();
+                }
+            }
 
-                debug('Sending command:' + cmd);
-                this.port.write(cmd, err => {
-                    if (err) {
-                        this._handleWriteError(err);
-                        debug('write error occurred: ', err);
-                        _reject(new Error('Error writing to serial port'));
-                    } else {
-                        doTimeout(true);
+            function finish() {
+                if (request.aborted) {
+                    // Nobody is waiting for this response anymore
+                    that._resetBuffer();
+                    _resolve();
+                    return;
+                }
+                if (failure) {
+                    that._resetBuffer();
+                    _reject(failure);
+                    return;
+                }
+                var response = that.buffer;
+                if (codec && !response.length) {
+                    response = that.options.binary ? response : '';
+                } else if (codec) {
+                    if (!decodeResponse()) {
+                        decoded = {error: new errors.FramingError('Incomplete frame')};
                     }
-                });
-
-                function doTimeout(force) {
-                    // keeps calling itself "recursively" as long as the request was not served
-                    if (bufferSize < that.buffer.length || force) {
-                        // We received something or we force renewal: we wait for another round
-                        bufferSize = that.buffer.length;
-                        that.timeout = setTimeout(() => {
-                            doTimeout();
-                        }, timeout);
-                    } else {
-                        // We haven't received new data, the request is considered to be over
-                        // If needed validate the response
-                        if (that.options.checkResponse) {
-                            if (!that.options.checkResponse(that.buffer)) {
-                                debug('The device response to the command did not pass validation', JSON.stringify(that.buffer));
-                                _reject(new Error('The device response to the command did not pass validation'));
-                                return;
-                            }
-                        }
-                        _resolve(that.buffer);
-                        that.buffer = ''; //empty the buffer
+                    if (decoded.error) {
+                        debug('The device response could not be decoded', decoded.error.message);
+                        Object.assign(decoded.error, that._getErrorContext(request.cmd, that.buffer));
+                        that._resetBuffer();
+                        _reject(decoded.error);
+                        return;
                     }
+                    response = that.options.binary ? decoded.payload : decoded.payload.toString();
                 }
-
-                function _resolve(response) {
-                    that.queueLength--;
-                    resolve(response);
+                // If needed validate the response
+                if (that.options.checkResponse) {
+                    if (!that.options.checkResponse(response)) {
+                        debug('The device response to the command did not pass validation', JSON.stringify(response));
+                        var error = new errors.ResponseValidationError(that._getErrorContext(request.cmd, response));
+                        // The invalid response must not be prepended to the next one
+                        that._resetBuffer();
+                        _reject(error);
+                        return;
+                    }
                 }
-
-                function _reject(error) {
-                    that.queueLength--;
-                    reject(error);
+                _resolve(response);
+                that._resetBuffer();
+            }
+
+            function decodeResponse() {
+                // Tells if the codec decoded the response, or failed to decode it
+                if (decoded) return true;
+                try {
+                    var payload = codec.decode(that.buffer);
+                    if (payload === null) return false;
+                    decoded = {payload};
+                } catch (err) {
+                    decoded = {error: err};
                 }
-            });
-            return this.currentRequest;
-        };
+                return true;
+            }
+
+            function _resolve(response) {
+                finished = true;
+                that._checkCompletion = null;
+                that._failRequest = null;
+                resolve(response);
+            }
+
+            function _reject(error) {
+                finished = true;
+                that._checkCompletion = null;
+                that._failRequest = null;
+                reject(error);
+            }
+        });
+        return this.currentRequest;
     }
 
     _handleWriteError(err) {
         if (!this.ready) return; // Already handling an error
         this._updateStatus(6);
         this.port.close(() => {
-            debug('Connection to serial port failed, closing connection and retrying in 2 seconds' + err);
+            debug('Connection to serial port failed, closing connection and retrying' + err);
             if (err) debug('serial port could not be closed');
             else debug('serial port was closed');
         });
     }
 
     _reconnectionAttempt() {
+        if (this.closing) return;
+        clearTimeout(this.reconnectionTimeout);
         debug('reconnection attempt: ' + this.comName);
         this._hasPort().then(() => {
-            this._updateOptions();
-            this.port = new SerialPort(this.comName, this.options);
-            this.port.on('open', () => {
+            if (this.closing) return;
+            try {
+                this._updateOptions();
+            } catch (err) {
+                // Retrying would fail the same way, until reconnect is called
+                debug(err.message);
+                this.optionsError = err;
+                this._updateStatus(10, err.message);
+                return;
+            }
+            this.optionsError = null;
+            this.decoder = new StringDecoder('utf8');
+            this._resetBuffer();
+            this._resetUnsolicitedBuffer();
+            var port = this.transport.open(this.comName, this.options);
+            var opened = false;
+            this.port = port;
+            // The events of a connection that was replaced must not reach the current one
+            var current = () => port === this.port;
+            port.on('open', () => {
+                if (!current()) return;
                 debug('opened port:', this.comName);
+                opened = true;
+                if (this.closing) {
+                    // close was called while the port was opening
+                    port.close();
+                    return;
+                }
+                this.reconnectionAttempts = 0;
+                this.initAttempts = 0;
                 this._updateStatus(0);
                 this.emit('open');
                 this._serialPortInit();
             });
 
-            this.port.on('error', err => {
+            port.on('error', err => {
+                if (!current()) return;
                 this._updateStatus(-1);
                 debug(`serialport error on ${this.comName}: ${err.message}`);
                 this.emit('error', err);
-                this._tryLater();
-
+                // An open port emits close after the error, which reconnects
+                if (!opened) this._tryLater();
             });
 
-            this.port.on('disconnect', err => {
+            port.on('disconnect', err => {
+                if (!current()) return;
                 this._updateStatus(3);
                 debug(`serialport disconnect on port ${this.comName}: ${err.message}`);
                 this.emit('disconnect', {id: this.deviceId});
             });
 
-            this.port.on('close', err => {
+            port.on('close', err => {
+                if (!current()) return;
                 this._updateStatus(4);
+                clearTimeout(this.initTimeout);
                 debug(`serialport close on port ${this.comName}`);
                 this.emit('close', err);
-                this._reconnectionAttempt();
+                if (!this.closing) this._reconnectionAttempt();
             });
 
-            this.port.on('data', data => {
-                this.buffer += data.toString();
+            port.on('data', data => {
+                if (!current()) return;
                 this.emit('data', data);
+                this._receive(data);
             });
         }, () => {
+            if (this.closing) return;
             this._updateStatus(5);
             this._tryLater();
         });
-
-
     }
 
     _hasPort() {
         debug('called _hasPort');
-        return new Promise((resolve, reject) => {
-            SerialPort.list((err, ports) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
-                var port = ports.find((port) => {
-                    return port.comName === this.comName;
-                });
-                debug('found Port');
-                if (port) {
-                    this.portInfo = port;
-                    resolve();
-                    return;
-                }
-                reject(new Error(`Port ${this.comName} not found`));
+        return this.transport.list().then(ports => {
+            var port = ports.find((port) => {
+                return port.comName === this.comName;
             });
+            if (port) {
+                debug('found Port');
+                this.portInfo = port;
+                return;
+            }
+            throw new Error(`Port ${this.comName} not found`);
         });
     }
 
     _tryLater() {
-        debug('Unable to connect to port ', this.comName, '. Please check if your device is connected or your device configuration. We will retry connecting every 2 seconds');
-        setTimeout(() => {
+        if (this.closing) return;
+        var policy = reconnectionPolicy.createPolicy(this.options && this.options.reconnection);
+        this.reconnectionAttempts++;
+        if (this.reconnectionAttempts >= policy.maxAttempts) {
+            debug(`giving up connecting to port ${this.comName} after ${this.reconnectionAttempts} attempts`);
+            this._updateStatus(8);
+            this.emit('giveUp', {reason: 'reconnection', attempts: this.reconnectionAttempts});
+            return;
+        }
+        var delay = reconnectionPolicy.getDelay(policy, this.reconnectionAttempts);
+        debug('Unable to connect to port ', this.comName, `. Please check if your device is connected or your device configuration. We will retry connecting in ${delay} ms`);
+        if (this.reconnectionTimeout) {
+            clearTimeout(this.reconnectionTimeout);
+        }
+        this.reconnectionTimeout = setTimeout(() => {
             this._reconnectionAttempt();
-        }, 2000);
+        }, delay);
     }
 }
 
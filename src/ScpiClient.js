@@ -0,0 +1,165 @@
+'use strict';
+
+const debug = require('debug')('serial-requests:ScpiClient');
+const errors = require('./errors');
+
+const defaultPortOptions = {
+    parseId: function (identity) {
+        return [identity.manufacturer, identity.model, identity.serial].join(',');
+    }
+};
+
+const maxQueuedErrors = 32;
+
+/**
+ * Client for instruments speaking SCPI. Commands are sent through a PortManager, so they share its queue, priorities
+ * and reconnection. Queries wait for the answer of the instrument while writes are over as soon as they are written.
+ * ScpiClient.createPortOptions gives the options identifying instruments with *IDN?.
+ * @constructor
+ * @param {PortManager|object} target - The PortManager of the instrument, or any object with an addRequest(cmd, options)
+ * method returning a promise of the response
+ * @param {object} [options]
+ * @param {boolean} [options.checkErrors=false] - Read the error queue of the instrument with SYST:ERR? after each
+ * command, and reject with a ScpiError if it is not empty. Another client sharing the port could write in between.
+ * @param {object} [options.requestOptions] - Options added to every request, such as priority or timeout
+ */
+class ScpiClient {
+    constructor(target, options) {
+        this.target = target;
+        this.options = Object.assign({checkErrors: false}, options);
+    }
+
+    /**
+     * Create a client addressing a device of a DeviceManager
+     * @param {DeviceManager} deviceManager
+     * @param {string} id - The id of the device
+     * @param {object} [options] - Options of the client
+     * @return {ScpiClient}
+     */
+    static forDevice(deviceManager, id, options) {
+        return new ScpiClient({
+            addRequest: (cmd, requestOptions) => deviceManager.addRequest(id, cmd, requestOptions)
+        }, options);
+    }
+
+    /**
+     * Get PortManager options for a SCPI instrument. The instrument is identified by its answer to *IDN?, so the
+     * options can be returned by the optionCreator of a DeviceManager.
+     * @param {object} [options] - Other options are kept, and are passed to the port
+     * @param {function} [options.parseId] - Receives the identity of the instrument as parsed by
+     * ScpiClient.parseIdentity and returns its id. Defaults to the manufacturer, model and serial number separated by
+     * commas.
+     * @return {object} The options of the PortManager
+     */
+    static createPortOptions(options) {
+        options = Object.assign({}, defaultPortOptions, options);
+        var portOptions = Object.assign({terminator: '\n'}, options, {
+            getIdCommand: '*IDN?\n',
+            getIdResponseParser: function (buffer) {
+                return options.parseId(ScpiClient.parseIdentity(buffer));
+            }
+        });
+        delete portOptions.parseId;
+        return portOptions;
+    }
+
+    /**
+     * Parse the answer to *IDN?
+     * @param {string} response
+     * @return {object} The manufacturer, model, serial and firmware of the instrument
+     */
+    static parseIdentity(response) {
+        var fields = String(response).trim().split(',').map(field => field.trim());
+        if (fields.length !== 4) {
+            throw new errors.IdentificationError(`Invalid *IDN? response: ${JSON.stringify(response)}`, {response});
+        }
+        return {
+            manufacturer: fields[0],
+            model: fields[1],
+            serial: fields[2],
+            firmware: fields[3]
+        };
+    }
+
+    /**
+     * Send a query and wait for the answer of the instrument
+     * @param {string} command - The query, such as 'MEAS:VOLT?'. The line feed is added if missing.
+     * @param {object} [options] - Options of the request. checkErrors overrides the option of the client.
+     * @return {Promise.<string>} The answer, without its line ending
+     */
+    query(command, options) {
+        return this._send(command, options, false).then(response => response.replace(/\r?\n$/, ''));
+    }
+
+    /**
+     * Send a command that has no answer, such as 'VOLT 5'. The request is over as soon as the command is written.
+     * @param {string} command - The command. The line feed is added if missing.
+     * @param {object} [options] - Options of the request. checkErrors overrides the option of the client.
+     * @return {Promise}
+     */
+    write(command, options) {
+        return this._send(command, options, true).then(() => undefined);
+    }
+
+    /**
+     * Query the identity of the instrument
+     * @param {object} [options] - Options of the request
+     * @return {Promise.<object>} The manufacturer, model, serial and firmware of the instrument
+     */
+    identify(options) {
+        return this.query('*IDN?', options).then(response => ScpiClient.parseIdentity(response));
+    }
+
+    /**
+     * Read the error queue of the instrument with SYST:ERR? until it is empty
+     * @param {object} [options] - Options of the requests
+     * @return {Promise.<Array<object>>} The errors, with their code and message, oldest first
+     */
+    readErrors(options) {
+        var found = [];
+        var readNext = () => {
+            return this.query('SYST:ERR?', Object.assign({}, options, {checkErrors: false})).then(response => {
+                var error = parseError(response);
+                if (error.code === 0) return found;
+                found.push(error);
+                // An instrument always answering with an error would loop forever
+                if (found.length >= maxQueuedErrors) return found;
+                return readNext();
+            });
+        };
+        return readNext();
+    }
+
+    _send(command, options, isWrite) {
+        var requestOptions = Object.assign({}, this.options.requestOptions, options);
+        var checkErrors = 'checkErrors' in requestOptions ? requestOptions.checkErrors : this.options.checkErrors;
+        delete requestOptions.checkErrors;
+        if (isWrite) {
+            requestOptions.responseLength = 0;
+        }
+        if (!/\n$/.test(command)) {
+            command += '\n';
+        }
+        debug(isWrite ? 'write:' : 'query:', command);
+        var sent = this.target.addRequest(command, requestOptions);
+        if (!checkErrors) return sent;
+        return sent.then(response => {
+            return this.readErrors({priority: requestOptions.priority}).then(found => {
+                if (found.length) {
+                    throw new errors.ScpiError({command, instrumentCode: found[0].code, instrumentMessage: found[0].message, instrumentErrors: found});
+                }
+                return response;
+            });
+        });
+    }
+}
+
+function parseError(response) {
+    var match = /^\s*([+-]?\d+)\s*,\s*"?(.*?)"?\s*$/.exec(response);
+    if (!match) {
+        throw new errors.ResponseValidationError({command: 'SYST:ERR?', buffer: response});
+    }
+    return {code: Number(match[1]), message: match[2]};
+}
+
+module.exports = ScpiClient;
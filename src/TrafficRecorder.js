@@ -0,0 +1,62 @@
+'use strict';
+
+const fs = require('fs');
+const debug = require('debug')('serial-requests:TrafficRecorder');
+
+/**
+ * Records the traffic of PortManagers as NDJSON. Each line is an object with the time in ms, the port name, the event
+ * and event-specific properties. Written commands and received data are stored as hexadecimal strings so that the raw
+ * bytes are kept. Status transitions and identification results are recorded too. Such a recording can be fed back to a
+ * DeviceManager with a ReplayTransport.
+ * @constructor
+ * @param {string|stream.Writable} destination - The path of the NDJSON file, or a writable stream
+ */
+class TrafficRecorder {
+    constructor(destination) {
+        if (typeof destination === 'string') {
+            this.stream = fs.createWriteStream(destination, {flags: 'a'});
+        } else {
+            this.stream = destination;
+        }
+    }
+
+    /**
+     * Start recording the traffic of a PortManager. To include the identification exchange, attach the recorder right
+     * after creating the PortManager.
+     * @param {PortManager} portManager
+     * @return {function} A function that stops recording this PortManager
+     */
+    attach(portManager) {
+        debug('recording port', portManager.comName);
+        var listeners = {
+            open: () => this._record(portManager, 'open', {portInfo: portManager.portInfo}),
+            write: cmd => this._record(portManager, 'write', {data: Buffer.from(cmd).toString('hex')}),
+            data: data => this._record(portManager, 'data', {data: Buffer.from(data).toString('hex')}),
+            statusChanged: status => this._record(portManager, 'status', status),
+            ready: data => this._record(portManager, 'ready', data),
+            idchange: data => this._record(portManager, 'idchange', data),
+            reinitialized: data => this._record(portManager, 'reinitialized', data),
+            disconnect: () => this._record(portManager, 'disconnect'),
+            close: () => this._record(portManager, 'close')
+        };
+        Object.keys(listeners).forEach(event => portManager.on(event, listeners[event]));
+        return () => {
+            Object.keys(listeners).forEach(event => portManager.removeListener(event, listeners[event]));
+        };
+    }
+
+    /**
+     * Stop recording and close the destination
+     * @param {function} [callback] - Called once everything is written
+     */
+    close(callback) {
+        this.stream.end(callback);
+    }
+
+    _record(portManager, event, properties) {
+        var entry = Object.assign({time: Date.now(), port: portManager.comName, event}, properties);
+        this.stream.write(`${JSON.stringify(entry)}\n`);
+    }
+}
+
+module.exports = TrafficRecorder;
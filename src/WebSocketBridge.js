@@ -0,0 +1,195 @@
+'use strict';
+
+const http = require('http');
+const url = require('url');
+const debug = require('debug')('serial-requests:WebSocketBridge');
+const WebSocket = require('ws');
+const remoteRequests = require('./remoteRequests');
+
+const defaultOptions = {
+    path: '/',
+    data: false,
+    dataEncoding: 'hex',
+    maxMessageSize: 1024 * 1024
+};
+
+/**
+ * Streams the events of a DeviceManager to WebSocket clients, and lets them send requests over the same socket.
+ * Messages are JSON objects with a type property.
+ *
+ * Once connected, a client receives a devices message with the status of the connected devices (see
+ * DeviceManager#getDeviceStatus), followed by new, connect, disconnect, statusChanged and unsolicited messages with the
+ * properties of the corresponding DeviceManager events. If the data option is set, the data received from the ports is
+ * streamed in data messages. Binary data is encoded with dataEncoding, and the encoding is given in the message.
+ *
+ * A client sends a request with a message such as
+ * `{"type": "request", "requestId": 1, "deviceId": "D1", "command": "T?\n", "encoding": "utf8", "timeout": 500}`. The
+ * reply is a response message with the same requestId and the response, or an error message with the same requestId
+ * and the code, name and message of the error.
+ * @constructor
+ * @param {DeviceManager} deviceManager
+ * @param {object} [options]
+ * @param {string} [options.path='/'] - The path on which WebSocket connections are accepted
+ * @param {boolean} [options.data=false] - Stream the data received from the ports
+ * @param {string} [options.dataEncoding='hex'] - Encoding of binary data: 'hex', 'base64' or 'utf8'
+ * @param {number} [options.maxMessageSize=1048576] - Maximum size in bytes of the messages sent by clients
+ */
+class WebSocketBridge {
+    constructor(deviceManager, options) {
+        this.deviceManager = deviceManager;
+        this.options = Object.assign({}, defaultOptions, options);
+        this.clients = new Set();
+        this.servers = [];
+        this.ownServer = null;
+        // The upgrade requests are routed by handleUpgrade, so that the bridge can share a server with other listeners
+        this.wss = new WebSocket.Server({noServer: true, maxPayload: this.options.maxMessageSize});
+        this.handleUpgrade = this.handleUpgrade.bind(this);
+        this.listeners = {
+            new: event => this.broadcast('new', event),
+            connect: event => this.broadcast('connect', event),
+            disconnect: event => this.broadcast('disconnect', event),
+            statusChanged: event => this.broadcast('statusChanged', event),
+            unsolicited: event => this.broadcast('unsolicited', this._encodeData(event))
+        };
+        if (this.options.data) {
+            this.listeners.data = event => this.broadcast('data', this._encodeData(event));
+        }
+        Object.keys(this.listeners).forEach(event => deviceManager.on(event, this.listeners[event]));
+    }
+
+    /**
+     * Start an HTTP server accepting WebSocket connections. Upgrade requests on other paths are answered with a 404.
+     * @param {number} [port=0] - The port to listen on. 0 picks a free port.
+     * @param {string} [host] - The address to listen on. Defaults to all addresses.
+     * @return {Promise.<object>} The address of the server, as given by server.address()
+     */
+    listen(port, host) {
+        return new Promise((resolve, reject) => {
+            var server = http.createServer((req, res) => {
+                res.writeHead(426, {'Content-Type': 'text/plain'});
+                res.end('Upgrade Required');
+            });
+            this.ownServer = server;
+            server.on('upgrade', (req, socket, head) => {
+                if (this.handleUpgrade(req, socket, head)) return;
+                // No other listener answers the upgrade requests of this server
+                socket.once('finish', () => socket.destroy());
+                socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+            });
+            server.once('error', reject);
+            server.listen(port || 0, host, () => {
+                server.removeListener('error', reject);
+                debug('listening on', server.address());
+                resolve(server.address());
+            });
+        });
+    }
+
+    /**
+     * Accept WebSocket connections on an existing HTTP server, such as the one of an HttpGateway. Upgrade requests on
+     * other paths are left to the other listeners of the server.
+     * @param {http.Server} server
+     */
+    attach(server) {
+        server.on('upgrade', this.handleUpgrade);
+        this.servers.push(server);
+    }
+
+    /**
+     * Handle the upgrade event of an HTTP server
+     * @param {http.IncomingMessage} req
+     * @param {net.Socket} socket
+     * @param {Buffer} head
+     * @return {boolean} Whether the request was for the path of the bridge
+     */
+    handleUpgrade(req, socket, head) {
+        if (url.parse(req.url).pathname !== this.options.path) return false;
+        // Invalid handshakes are answered with an error by ws
+        this.wss.handleUpgrade(req, socket, head, client => {
+            debug('client connected');
+            this.clients.add(client);
+            client.on('close', () => {
+                debug('client disconnected');
+                this.clients.delete(client);
+            });
+            // ws closes the connection after a protocol error, such as a message exceeding maxMessageSize
+            client.on('error', err => debug(`client error: ${err.message}`));
+            client.on('message', message => this._receive(client, String(message)));
+            var dm = this.deviceManager;
+            this._send(client, {type: 'devices', devices: dm.getDeviceIds().map(id => dm.getDeviceStatus(id))});
+        });
+        return true;
+    }
+
+    /**
+     * Send a message to all the connected clients
+     * @param {string} type - The type of the message
+     * @param {object} [properties] - The other properties of the message
+     */
+    broadcast(type, properties) {
+        if (!this.clients.size) return;
+        var message = JSON.stringify(Object.assign({type}, properties));
+        this.clients.forEach(client => client.send(message));
+    }
+
+    /**
+     * Close the connections and the server started by listen, and stop listening to the DeviceManager. The
+     * DeviceManager is not closed.
+     * @return {Promise}
+     */
+    close() {
+        Object.keys(this.listeners).forEach(event => this.deviceManager.removeListener(event, this.listeners[event]));
+        this.servers.forEach(server => server.removeListener('upgrade', this.handleUpgrade));
+        this.servers = [];
+        this.clients.forEach(client => client.close(1001, 'Server closing'));
+        this.clients.clear();
+        this.wss.close();
+        if (!this.ownServer) return Promise.resolve();
+        var server = this.ownServer;
+        this.ownServer = null;
+        return new Promise((resolve, reject) => {
+            server.close(err => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+
+    _receive(client, text) {
+        var message;
+        try {
+            message = JSON.parse(text);
+        } catch (err) {
+            this._send(client, {type: 'error', error: {code: 'INVALID_JSON', message: `Invalid JSON message: ${err.message}`}});
+            return;
+        }
+        if (message === null || typeof message !== 'object') {
+            this._send(client, {type: 'error', error: {code: 'INVALID_JSON', message: 'The message must be a JSON object'}});
+            return;
+        }
+        var requestId = message.requestId;
+        if (message.type !== 'request') {
+            this._send(client, {type: 'error', requestId, error: {code: 'INVALID_REQUEST', message: `Unknown message type: ${message.type}`}});
+            return;
+        }
+        remoteRequests.sendRequest(this.deviceManager, message.deviceId, message).then(result => {
+            this._send(client, Object.assign({type: 'response', requestId}, result));
+        }, err => {
+            this._send(client, {type: 'error', requestId, error: remoteRequests.serializeError(err)});
+        });
+    }
+
+    _send(client, message) {
+        client.send(JSON.stringify(message));
+    }
+
+    _encodeData(event) {
+        if (!Buffer.isBuffer(event.data)) return event;
+        return Object.assign({}, event, {
+            data: event.data.toString(this.options.dataEncoding),
+            encoding: this.options.dataEncoding
+        });
+    }
+}
+
+module.exports = WebSocketBridge;
@@ -0,0 +1,14 @@
+'use strict';
+
+/**
+ * Listen to the abort event of an AbortSignal
+ * @param {AbortSignal} signal
+ * @param {function} listener
+ * @return {function} A function that removes the listener
+ */
+function onAbort(signal, listener) {
+    signal.addEventListener('abort', listener);
+    return () => signal.removeEventListener('abort', listener);
+}
+
+exports.onAbort = onAbort;
@@ -0,0 +1,72 @@
+'use strict';
+
+/**
+ * Compute the CRC-16 used by Modbus RTU (polynomial 0xA001 reflected, initial value 0xFFFF)
+ * @param {Buffer|Array<number>} bytes
+ * @return {number} The 16 bits checksum. Modbus transmits its low byte first.
+ */
+function crc16Modbus(bytes) {
+    var crc = 0xFFFF;
+    for (var i = 0; i < bytes.length; i++) {
+        crc ^= bytes[i];
+        for (var bit = 0; bit < 8; bit++) {
+            crc = (crc & 1) ? (crc >>> 1) ^ 0xA001 : crc >>> 1;
+        }
+    }
+    return crc;
+}
+
+/**
+ * Compute the CRC-16/CCITT (polynomial 0x1021, not reflected)
+ * @param {Buffer|Array<number>} bytes
+ * @param {number} [initial=0xFFFF] - 0xFFFF for CRC-16/CCITT-FALSE, 0 for XMODEM
+ * @return {number} The 16 bits checksum
+ */
+function crc16Ccitt(bytes, initial) {
+    var crc = initial === undefined ? 0xFFFF : initial;
+    for (var i = 0; i < bytes.length; i++) {
+        crc ^= bytes[i] << 8;
+        for (var bit = 0; bit < 8; bit++) {
+            crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+        }
+    }
+    return crc;
+}
+
+/**
+ * Compute a CRC-8 (not reflected)
+ * @param {Buffer|Array<number>} bytes
+ * @param {number} [polynomial=0x07]
+ * @param {number} [initial=0]
+ * @return {number} The 8 bits checksum
+ */
+function crc8(bytes, polynomial, initial) {
+    polynomial = polynomial === undefined ? 0x07 : polynomial;
+    var crc = initial || 0;
+    for (var i = 0; i < bytes.length; i++) {
+        crc ^= bytes[i];
+        for (var bit = 0; bit < 8; bit++) {
+            crc = (crc & 0x80) ? ((crc << 1) ^ polynomial) & 0xFF : (crc << 1) & 0xFF;
+        }
+    }
+    return crc;
+}
+
+/**
+ * Compute the XOR of all bytes, also known as longitudinal redundancy check in some protocols
+ * @param {Buffer|Array<number>} bytes
+ * @param {number} [initial=0]
+ * @return {number} The 8 bits checksum
+ */
+function xor8(bytes, initial) {
+    var checksum = initial || 0;
+    for (var i = 0; i < bytes.length; i++) {
+        checksum ^= bytes[i];
+    }
+    return checksum;
+}
+
+exports.crc16Modbus = crc16Modbus;
+exports.crc16Ccitt = crc16Ccitt;
+exports.crc8 = crc8;
+exports.xor8 = xor8;
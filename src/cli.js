@@ -0,0 +1,340 @@
+'use strict';
+
+const path = require('path');
+const readline = require('readline');
+const DeviceManager = require('./DeviceManager');
+const SerialTransport = require('./transports/SerialTransport');
+const deviceConfig = require('./config');
+
+const usage = `Usage: serial-requests [options] <command>
+
+Commands:
+  list                 List the ports and whether the config matches them
+  identify             Identify the devices on the matching ports
+  send <id> <cmd>      Send a command to a device and print the response
+  repl <id>            Send commands to a device interactively
+
+Options:
+  -c, --config <file>  Device configuration in JSON or YAML, or module exporting the DeviceManager
+                       options (optionCreator, transports...)
+  -t, --timeout <ms>   Timeout of each request
+  -w, --wait <ms>      Time to wait for devices to be identified (default 5000)
+  -e, --encoding <enc> 'utf8' (default), with escape sequences such as \\n, \\r or \\x1b, or 'hex'
+  --eol <seq>          Sequence appended to each command, such as '\\n' (default none)
+  --json               Print results as JSON
+  -h, --help           Show this help`;
+
+const aliases = {
+    '-c': 'config',
+    '-t': 'timeout',
+    '-w': 'wait',
+    '-e': 'encoding',
+    '-h': 'help'
+};
+
+const valueOptions = ['config', 'timeout', 'wait', 'encoding', 'eol'];
+
+/**
+ * Run the command line tool
+ * @param {Array<string>} args - The arguments, without the node executable and the script
+ * @param {object} [io] - The streams to use, defaults to the process streams
+ * @param {stream.Readable} [io.stdin]
+ * @param {stream.Writable} [io.stdout]
+ * @param {stream.Writable} [io.stderr]
+ * @return {Promise.<number>} The exit code
+ */
+function run(args, io) {
+    io = Object.assign({stdin: process.stdin, stdout: process.stdout, stderr: process.stderr}, io);
+    var parsed;
+    try {
+        parsed = parseArgs(args);
+    } catch (err) {
+        io.stderr.write(`${err.message}\n\n${usage}\n`);
+        return Promise.resolve(2);
+    }
+    if (parsed.options.help || !parsed.command) {
+        io.stdout.write(`${usage}\n`);
+        return Promise.resolve(parsed.options.help ? 0 : 2);
+    }
+    var commands = {list, identify, send, repl};
+    var command = commands[parsed.command];
+    var expectedArgs = {list: 0, identify: 0, send: 2, repl: 1}[parsed.command];
+    if (!command || parsed.args.length !== expectedArgs) {
+        io.stderr.write(`${command ? 'Wrong number of arguments' : `Unknown command: ${parsed.command}`}\n\n${usage}\n`);
+        return Promise.resolve(2);
+    }
+    var context;
+    try {
+        context = createContext(parsed.options, io);
+    } catch (err) {
+        io.stderr.write(`${err.message}\n`);
+        return Promise.resolve(1);
+    }
+    return Promise.resolve().then(() => command(context, ...parsed.args)).then(code => code || 0, err => {
+        io.stderr.write(`${err.code ? `${err.code}: ` : ''}${err.message}\n`);
+        return 1;
+    }).then(code => {
+        if (!context.deviceManager) return code;
+        return context.deviceManager.close().then(() => code);
+    });
+}
+
+function parseArgs(args) {
+    var options = {};
+    var positional = [];
+    for (var i = 0; i < args.length; i++) {
+        var arg = args[i];
+        if (arg.startsWith('-') && arg !== '-') {
+            var name = aliases[arg] || (arg.startsWith('--') ? arg.slice(2) : null);
+            if (!name || (!valueOptions.includes(name) && !['json', 'help'].includes(name))) {
+                throw new Error(`Unknown option: ${arg}`);
+            }
+            if (valueOptions.includes(name)) {
+                if (i + 1 >= args.length) throw new Error(`Missing value for option ${arg}`);
+                options[name] = args[++i];
+            } else {
+                options[name] = true;
+            }
+        } else {
+            positional.push(arg);
+        }
+    }
+    ['timeout', 'wait'].forEach(name => {
+        if (options[name] !== undefined) {
+            options[name] = Number(options[name]);
+            if (!(options[name] > 0)) throw new Error(`Invalid value for option --${name}`);
+        }
+    });
+    options.encoding = options.encoding || 'utf8';
+    if (!['utf8', 'hex'].includes(options.encoding)) {
+        throw new Error(`Invalid encoding: ${options.encoding}`);
+    }
+    return {command: positional[0], args: positional.slice(1), options};
+}
+
+function createContext(options, io) {
+    var config = options.config ? loadConfig(options.config) : null;
+    return {
+        options,
+        io,
+        config,
+        deviceManager: null,
+        getDeviceManager() {
+            if (!config) throw new Error('This command requires a config file (--config)');
+            if (!this.deviceManager) {
+                var dmOptions = Object.assign({}, config);
+                if (options.wait) dmOptions.timeout = options.wait;
+                this.deviceManager = new DeviceManager(dmOptions);
+            }
+            return this.deviceManager;
+        }
+    };
+}
+
+function loadConfig(file) {
+    if (/\.(json|ya?ml)$/i.test(file)) {
+        // Declarative device configuration
+        return {optionCreator: deviceConfig.loadOptionCreator(file)};
+    }
+    var config = require(path.resolve(file));
+    if (typeof config === 'function') {
+        config = {optionCreator: config};
+    }
+    if (!config || typeof config.optionCreator !== 'function') {
+        throw new Error(`The config file ${file} must export DeviceManager options with an optionCreator`);
+    }
+    return config;
+}
+
+function list(context) {
+    var transports = (context.config && context.config.transports) || [new SerialTransport()];
+    var optionCreator = context.config && context.config.optionCreator;
+    var lists = transports.map(transport => transport.list());
+    return Promise.all(lists).then(lists => {
+        var ports = lists.reduce((all, list) => all.concat(list), []).map(port => ({
+            comName: port.comName,
+            transport: port.transport,
+            manufacturer: port.manufacturer,
+            vendorId: port.vendorId,
+            productId: port.productId,
+            serialNumber: port.serialNumber,
+            match: optionCreator ? Boolean(optionCreator(port)) : null
+        }));
+        if (context.options.json) {
+            context.io.stdout.write(`${JSON.stringify(ports, null, 2)}\n`);
+            return;
+        }
+        ports.forEach(port => {
+            var match = port.match === null ? '' : port.match ? 'match' : 'no match';
+            var description = [port.manufacturer, port.vendorId && `${port.vendorId}:${port.productId}`, port.serialNumber]
+                .filter(Boolean).join(' ');
+            context.io.stdout.write(`${[port.comName, port.transport, description, match].join('\t')}\n`);
+        });
+    });
+}
+
+function identify(context) {
+    var dm = context.getDeviceManager();
+    var wait = context.options.wait || dm.options.timeout;
+    return dm.refresh().then(() => {
+        var managers = Object.keys(dm.serialQManagers).map(comName => dm.serialQManagers[comName]);
+        return Promise.all(managers.map(portManager => waitIdentification(portManager, wait)));
+    }).then(results => {
+        if (context.options.json) {
+            context.io.stdout.write(`${JSON.stringify(results, null, 2)}\n`);
+        } else {
+            results.forEach(result => {
+                context.io.stdout.write(`${result.comName}\t${result.id || `(${result.status}${result.message ? `: ${result.message}` : ''})`}\n`);
+            });
+        }
+        return results.every(result => result.id) ? 0 : 1;
+    });
+}
+
+function waitIdentification(portManager, wait) {
+    // Resolves once the device is identified, once the identification failed, or after the wait time
+    return new Promise(resolve => {
+        var message;
+        var timeout = setTimeout(done, wait);
+        function onStatus(event) {
+            message = event.message;
+            if ([2, 7, 8, 9, 10].includes(event.code)) done();
+        }
+        function done() {
+            clearTimeout(timeout);
+            portManager.removeListener('statusChanged', onStatus);
+            resolve({
+                comName: portManager.comName,
+                id: portManager.statusCode === 2 ? portManager.deviceId : null,
+                status: portManager.status || 'Waiting for the port',
+                message
+            });
+        }
+        portManager.on('statusChanged', onStatus);
+        if ([2, 10].includes(portManager.statusCode)) done();
+    });
+}
+
+function send(context, id, text) {
+    var dm = context.getDeviceManager();
+    return dm.addRequest(id, parseCommand(text, context.options), requestOptions(context)).then(response => {
+        printResponse(context, response);
+    });
+}
+
+function repl(context, id) {
+    var dm = context.getDeviceManager();
+    var io = context.io;
+    dm.on('unsolicited', event => {
+        if (event.id === id) io.stdout.write(`<< ${formatResponse(context, event.data)}\n`);
+    });
+    return new Promise(resolve => {
+        var interactive = Boolean(io.stdin.isTTY);
+        var rl = readline.createInterface({input: io.stdin, output: io.stdout, prompt: `${id}> `, terminal: interactive});
+        var prompt = () => {
+            if (interactive) rl.prompt();
+        };
+        // Commands go through the queue one after the other, so that responses are printed in order
+        var pending = Promise.resolve();
+        rl.on('line', line => {
+            if (line.trim() === '.exit') {
+                rl.close();
+                return;
+            }
+            if (!line) {
+                prompt();
+                return;
+            }
+            pending = pending.then(() => {
+                var cmd;
+                try {
+                    cmd = parseCommand(line, context.options);
+                } catch (err) {
+                    return Promise.reject(err);
+                }
+                return dm.addRequest(id, cmd, requestOptions(context));
+            }).then(response => {
+                printResponse(context, response);
+            }, err => {
+                io.stderr.write(`${err.code ? `${err.code}: ` : ''}${err.message}\n`);
+            }).then(prompt);
+        });
+        rl.on('close', () => {
+            pending.then(() => resolve(0));
+        });
+        prompt();
+    });
+}
+
+function requestOptions(context) {
+    return context.options.timeout ? {timeout: context.options.timeout} : {};
+}
+
+function parseCommand(text, options) {
+    var eol = unescape(options.eol || '');
+    if (options.encoding === 'hex') {
+        if (!/^([0-9a-fA-F]{2}\s*)*$/.test(text.trim())) throw new Error(`Invalid hexadecimal command: ${text}`);
+        return Buffer.concat([Buffer.from(text.replace(/\s/g, ''), 'hex'), toBuffer(eol)]);
+    }
+    var cmd = unescape(text);
+    if (Buffer.isBuffer(cmd) || Buffer.isBuffer(eol)) {
+        return Buffer.concat([toBuffer(cmd), toBuffer(eol)]);
+    }
+    return cmd + eol;
+}
+
+function toBuffer(value) {
+    return Buffer.isBuffer(value) ? value : Buffer.from(value);
+}
+
+function unescape(text) {
+    // Returns a Buffer if the text contains bytes that are not ASCII characters, a string otherwise
+    var bytes = [];
+    var binary = false;
+    var replaced = text.replace(/\\(x([0-9a-fA-F]{2})|.)/g, (escape, sequence, hex) => {
+        if (hex) {
+            var byte = parseInt(hex, 16);
+            if (byte > 0x7F) binary = true;
+            return String.fromCharCode(byte);
+        }
+        var characters = {n: '\n', r: '\r', t: '\t', 0: '\0', '\\': '\\'};
+        if (!(sequence in characters)) throw new Error(`Unknown escape sequence: ${escape}`);
+        return characters[sequence];
+    });
+    if (!binary) return replaced;
+    // Characters above \x7f come from escape sequences, the others are encoded in utf8
+    text.split(/(\\x[0-9a-fA-F]{2})/).forEach(part => {
+        if (/^\\x[0-9a-fA-F]{2}$/.test(part)) bytes.push(Buffer.from([parseInt(part.slice(2), 16)]));
+        else bytes.push(Buffer.from(unescape(part)));
+    });
+    return Buffer.concat(bytes);
+}
+
+function formatResponse(context, response) {
+    if (context.options.encoding === 'hex') {
+        return toBuffer(response).toString('hex').replace(/(..)(?!$)/g, '$1 ');
+    }
+    // Bytes of binary responses are shown as escape sequences, unlike the characters of text responses
+    var binary = Buffer.isBuffer(response);
+    var text = binary ? response.toString('latin1') : response;
+    var escapes = {'\n': '\\n', '\r': '\\r', '\t': '\\t', '\\': '\\\\'};
+    return Array.from(text, character => {
+        var code = character.charCodeAt(0);
+        if (escapes[character]) return escapes[character];
+        if (code < 0x20 || code === 0x7f || (binary && code > 0x7f)) return `\\x${`0${code.toString(16)}`.slice(-2)}`;
+        return character;
+    }).join('');
+}
+
+function printResponse(context, response) {
+    if (context.options.json) {
+        var hex = context.options.encoding === 'hex' || Buffer.isBuffer(response);
+        var json = {response: hex ? toBuffer(response).toString('hex') : response, encoding: hex ? 'hex' : 'utf8'};
+        context.io.stdout.write(`${JSON.stringify(json)}\n`);
+    } else {
+        context.io.stdout.write(`${formatResponse(context, response)}\n`);
+    }
+}
+
+exports.run = run;
+exports.usage = usage;
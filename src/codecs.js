@@ -0,0 +1,272 @@
+'use strict';
+
+const errors = require('./errors');
+const checksums = require('./checksums');
+
+/*
+ * A codec has an encode function transforming the bytes of a command before they are written, and a decode function
+ * transforming the bytes received in response. Both work on Buffers.
+ * Framing codecs (framing: true) delimit frames: their decode function returns null as long as the bytes do not hold a
+ * complete frame, which allows ending requests as soon as the frame is received. Other codecs, such as checksums,
+ * receive the complete response.
+ * decode throws a ChecksumError or a FramingError if the response is invalid.
+ */
+
+/**
+ * Frames ending with a delimiter
+ * @param {object} [options]
+ * @param {string|Buffer|Array<number>} [options.delimiter='\n']
+ * @return {object} The codec
+ */
+function line(options) {
+    var delimiter = Buffer.from((options && options.delimiter) || '\n');
+    return {
+        framing: true,
+        encode: payload => Buffer.concat([payload, delimiter]),
+        decode: buffer => {
+            var end = buffer.indexOf(delimiter);
+            return end === -1 ? null : buffer.slice(0, end);
+        }
+    };
+}
+
+/**
+ * Frames starting with an STX byte and ending with an ETX byte. Bytes received before STX are ignored.
+ * @param {object} [options]
+ * @param {number} [options.stx=0x02]
+ * @param {number} [options.etx=0x03]
+ * @return {object} The codec
+ */
+function stxEtx(options) {
+    options = Object.assign({stx: 0x02, etx: 0x03}, options);
+    return {
+        framing: true,
+        encode: payload => Buffer.concat([Buffer.from([options.stx]), payload, Buffer.from([options.etx])]),
+        decode: buffer => {
+            var start = buffer.indexOf(options.stx);
+            if (start === -1) return null;
+            var end = buffer.indexOf(options.etx, start + 1);
+            return end === -1 ? null : buffer.slice(start + 1, end);
+        }
+    };
+}
+
+const SLIP_END = 0xC0;
+const SLIP_ESC = 0xDB;
+const SLIP_ESC_END = 0xDC;
+const SLIP_ESC_ESC = 0xDD;
+
+/**
+ * SLIP framing (RFC 1055). Frames are sent with a leading END byte, which flushes noise received by the device.
+ * @return {object} The codec
+ */
+function slip() {
+    return {
+        framing: true,
+        encode: payload => {
+            var bytes = [SLIP_END];
+            for (var i = 0; i < payload.length; i++) {
+                if (payload[i] === SLIP_END) bytes.push(SLIP_ESC, SLIP_ESC_END);
+                else if (payload[i] === SLIP_ESC) bytes.push(SLIP_ESC, SLIP_ESC_ESC);
+                else bytes.push(payload[i]);
+            }
+            bytes.push(SLIP_END);
+            return Buffer.from(bytes);
+        },
+        decode: buffer => {
+            var start = 0;
+            while (start < buffer.length && buffer[start] === SLIP_END) start++;
+            var end = buffer.indexOf(SLIP_END, start);
+            if (end === -1) return null;
+            var bytes = [];
+            for (var i = start; i < end; i++) {
+                if (buffer[i] !== SLIP_ESC) {
+                    bytes.push(buffer[i]);
+                } else if (buffer[i + 1] === SLIP_ESC_END || buffer[i + 1] === SLIP_ESC_ESC) {
+                    bytes.push(buffer[++i] === SLIP_ESC_END ? SLIP_END : SLIP_ESC);
+                } else {
+                    throw new errors.FramingError(`Invalid SLIP escape sequence at byte ${i}`, {frame: buffer.slice(start, end)});
+                }
+            }
+            return Buffer.from(bytes);
+        }
+    };
+}
+
+/**
+ * Consistent Overhead Byte Stuffing. Frames contain no zero byte and end with a zero byte.
+ * @return {object} The codec
+ */
+function cobs() {
+    return {
+        framing: true,
+        encode: payload => {
+            var bytes = [0];
+            var codeIndex = 0;
+            for (var i = 0; i < payload.length; i++) {
+                if (payload[i] !== 0) {
+                    bytes.push(payload[i]);
+                }
+                if (payload[i] === 0 || bytes.length - codeIndex === 0xFF) {
+                    bytes[codeIndex] = bytes.length - codeIndex;
+                    codeIndex = bytes.length;
+                    bytes.push(0);
+                }
+            }
+            bytes[codeIndex] = bytes.length - codeIndex;
+            bytes.push(0);
+            return Buffer.from(bytes);
+        },
+        decode: buffer => {
+            var end = buffer.indexOf(0);
+            if (end === -1) return null;
+            var bytes = [];
+            var i = 0;
+            while (i < end) {
+                var code = buffer[i];
+                if (i + code > end) {
+                    throw new errors.FramingError('Invalid COBS frame', {frame: buffer.slice(0, end)});
+                }
+                for (var j = i + 1; j < i + code; j++) {
+                    bytes.push(buffer[j]);
+                }
+                i += code;
+                if (code !== 0xFF && i < end) bytes.push(0);
+            }
+            return Buffer.from(bytes);
+        }
+    };
+}
+
+/**
+ * Frames starting with their length
+ * @param {object} [options]
+ * @param {number} [options.lengthBytes=1] - The size of the length field: 1, 2 or 4 bytes
+ * @param {boolean} [options.littleEndian=false] - The byte order of the length field
+ * @param {boolean} [options.includesLength=false] - Whether the length counts the length field itself
+ * @return {object} The codec
+ */
+function lengthPrefixed(options) {
+    options = Object.assign({lengthBytes: 1, littleEndian: false, includesLength: false}, options);
+    var size = options.lengthBytes;
+    var overhead = options.includesLength ? size : 0;
+    return {
+        framing: true,
+        encode: payload => {
+            var header = Buffer.alloc(size);
+            if (options.littleEndian) header.writeUIntLE(payload.length + overhead, 0, size);
+            else header.writeUIntBE(payload.length + overhead, 0, size);
+            return Buffer.concat([header, payload]);
+        },
+        decode: buffer => {
+            if (buffer.length < size) return null;
+            var length = (options.littleEndian ? buffer.readUIntLE(0, size) : buffer.readUIntBE(0, size)) - overhead;
+            if (length < 0) {
+                throw new errors.FramingError(`Invalid frame length ${length + overhead}`, {frame: buffer});
+            }
+            if (buffer.length < size + length) return null;
+            return buffer.slice(size, size + length);
+        }
+    };
+}
+
+function checksum(size, compute, littleEndian) {
+    function write(value) {
+        var bytes = Buffer.alloc(size);
+        if (littleEndian) bytes.writeUIntLE(value, 0, size);
+        else bytes.writeUIntBE(value, 0, size);
+        return bytes;
+    }
+    return {
+        framing: false,
+        encode: payload => Buffer.concat([payload, write(compute(payload))]),
+        decode: buffer => {
+            if (buffer.length < size) {
+                throw new errors.FramingError('Response too short to hold a checksum', {frame: buffer});
+            }
+            var payload = buffer.slice(0, buffer.length - size);
+            var expected = compute(payload);
+            var actual = littleEndian ? buffer.readUIntLE(payload.length, size) : buffer.readUIntBE(payload.length, size);
+            if (expected !== actual) {
+                throw new errors.ChecksumError({expected, actual, frame: buffer});
+            }
+            return payload;
+        }
+    };
+}
+
+/**
+ * A trailing byte holding the XOR of the other bytes
+ * @param {object} [options]
+ * @param {number} [options.initial=0]
+ * @return {object} The codec
+ */
+function xor(options) {
+    options = Object.assign({initial: 0}, options);
+    return checksum(1, bytes => checksums.xor8(bytes, options.initial));
+}
+
+/**
+ * A trailing CRC-8 byte
+ * @param {object} [options]
+ * @param {number} [options.polynomial=0x07]
+ * @param {number} [options.initial=0]
+ * @return {object} The codec
+ */
+function crc8(options) {
+    options = Object.assign({polynomial: 0x07, initial: 0}, options);
+    return checksum(1, bytes => checksums.crc8(bytes, options.polynomial, options.initial));
+}
+
+/**
+ * Two trailing CRC-16 bytes
+ * @param {object} [options]
+ * @param {string} [options.algorithm='modbus'] - 'modbus', 'ccitt' (initial value 0xFFFF) or 'xmodem' (initial value 0)
+ * @param {boolean} [options.littleEndian] - The byte order of the CRC. Defaults to true for modbus, false otherwise.
+ * @return {object} The codec
+ */
+function crc16(options) {
+    options = Object.assign({algorithm: 'modbus'}, options);
+    var compute;
+    switch (options.algorithm) {
+        case 'modbus':
+            compute = checksums.crc16Modbus;
+            break;
+        case 'ccitt':
+            compute = bytes => checksums.crc16Ccitt(bytes, 0xFFFF);
+            break;
+        case 'xmodem':
+            compute = bytes => checksums.crc16Ccitt(bytes, 0);
+            break;
+        default:
+            throw new TypeError(`Unknown CRC-16 algorithm: ${options.algorithm}`);
+    }
+    var littleEndian = options.littleEndian === undefined ? options.algorithm === 'modbus' : options.littleEndian;
+    return checksum(2, compute, littleEndian);
+}
+
+/**
+ * Combine codecs. On encoding the codecs are applied in order, the last one producing the bytes written to the port.
+ * On decoding they are applied in reverse order. For example [crc16(), slip()] appends a CRC to the command and then
+ * frames it with SLIP.
+ * @param {object|Array<object>} codecs - A codec or a list of codecs
+ * @return {object} The combined codec. It delimits frames if the last codec does.
+ */
+function compose(codecs) {
+    if (!Array.isArray(codecs)) return codecs;
+    return {
+        framing: codecs.length > 0 && Boolean(codecs[codecs.length - 1].framing),
+        encode: payload => codecs.reduce((bytes, codec) => Buffer.from(codec.encode(bytes)), payload),
+        decode: buffer => codecs.reduceRight((bytes, codec) => (bytes === null ? null : codec.decode(bytes)), buffer)
+    };
+}
+
+exports.line = line;
+exports.stxEtx = stxEtx;
+exports.slip = slip;
+exports.cobs = cobs;
+exports.lengthPrefixed = lengthPrefixed;
+exports.xor = xor;
+exports.crc8 = crc8;
+exports.crc16 = crc16;
+exports.compose = compose;
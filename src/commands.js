@@ -0,0 +1,56 @@
+'use strict';
+
+const errors = require('./errors');
+
+/**
+ * Build the command to send from a command definition
+ * @param {object} definition - The command definition
+ * @param {string|function} definition.command - A template in which {name} is replaced by the argument of that name,
+ * or a function receiving the arguments and returning the command
+ * @param {object} args - The arguments of the command
+ * @return {string|Buffer}
+ */
+function formatCommand(definition, args) {
+    if (typeof definition.command === 'function') {
+        return definition.command(args);
+    }
+    return definition.command.replace(/\{(\w+)\}/g, (match, name) => {
+        if (args[name] === undefined) {
+            throw new errors.InvalidRequestError(`Missing command argument: ${name}`, {command: definition.command});
+        }
+        return String(args[name]);
+    });
+}
+
+/**
+ * Check a response against a command definition and parse it
+ * @param {object} definition - The command definition
+ * @param {RegExp} [definition.response] - Pattern the response must match. Buffers are tested through their latin1
+ * representation.
+ * @param {function} [definition.parse] - Receives the response, the result of matching the response pattern and the
+ * arguments, and returns the parsed value. By default the value is the first captured group of the response pattern,
+ * the array of captured groups if there are several, or the raw response.
+ * @param {string|Buffer} response
+ * @param {object} args - The arguments of the command
+ * @param {object} context - Context of the error thrown if the response does not match
+ * @return {*} The parsed value
+ */
+function parseResponse(definition, response, args, context) {
+    var match = null;
+    if (definition.response) {
+        definition.response.lastIndex = 0;
+        match = definition.response.exec(Buffer.isBuffer(response) ? response.toString('latin1') : response);
+        if (!match) {
+            throw new errors.ResponseValidationError(Object.assign({}, context, {buffer: response}));
+        }
+    }
+    if (definition.parse) {
+        return definition.parse(response, match, args);
+    }
+    if (match && match.length === 2) return match[1];
+    if (match && match.length > 2) return match.slice(1);
+    return response;
+}
+
+exports.formatCommand = formatCommand;
+exports.parseResponse = parseResponse;
@@ -0,0 +1,73 @@
+'use strict';
+
+const completionOptions = ['terminator', 'responsePattern', 'responseLength', 'isComplete'];
+
+/**
+ * Select the completion options that apply to a request. If the request defines any completion option, it replaces the
+ * strategy defined on the port entirely. Otherwise the port strategy is used.
+ * @param {object} portOptions - The options of the port
+ * @param {object} requestOptions - The options of the request
+ * @return {object} An object containing only completion options
+ */
+function selectCompletionOptions(portOptions, requestOptions) {
+    var source = completionOptions.some(key => key in requestOptions) ? requestOptions : portOptions;
+    var selected = {};
+    completionOptions.forEach(key => {
+        if (source[key] !== undefined && source[key] !== null) {
+            selected[key] = source[key];
+        }
+    });
+    return selected;
+}
+
+/**
+ * Convert a byte or character sequence to the type of the response buffer
+ * @param {string|Buffer|Array<number>} sequence
+ * @param {boolean} binary - Whether the response buffer is a Buffer
+ * @return {string|Buffer}
+ */
+function normalizeSequence(sequence, binary) {
+    if (binary) return Buffer.from(sequence);
+    if (typeof sequence === 'string') return sequence;
+    return Buffer.from(sequence).toString();
+}
+
+/**
+ * Create a function that tells if a response buffer holds a complete response. The response is complete as soon as
+ * one of the configured strategies is satisfied.
+ * In binary mode the response buffer is a Buffer, and patterns are tested against its latin1 representation so that
+ * each byte maps to exactly one character.
+ * @param {object} options
+ * @param {string|Buffer|Array<number>} [options.terminator] - The response is complete once it contains this sequence
+ * @param {RegExp} [options.responsePattern] - The response is complete once it matches this regular expression
+ * @param {number} [options.responseLength] - The response is complete once it has at least this length
+ * @param {function} [options.isComplete] - Custom predicate receiving the response buffer
+ * @param {boolean} [binary=false] - Whether the response buffer is a Buffer
+ * @return {function|null} A predicate on the response buffer, or null if no strategy is configured
+ */
+function createCompletionCheck(options, binary) {
+    var checks = [];
+    if (options.terminator !== undefined) {
+        var terminator = normalizeSequence(options.terminator, binary);
+        checks.push(buffer => buffer.indexOf(terminator) !== -1);
+    }
+    if (options.responsePattern !== undefined) {
+        var pattern = options.responsePattern;
+        checks.push(buffer => {
+            pattern.lastIndex = 0;
+            return pattern.test(binary ? buffer.toString('latin1') : buffer);
+        });
+    }
+    if (options.responseLength !== undefined) {
+        checks.push(buffer => buffer.length >= options.responseLength);
+    }
+    if (options.isComplete !== undefined) {
+        checks.push(buffer => Boolean(options.isComplete(buffer)));
+    }
+    if (checks.length === 0) return null;
+    return buffer => checks.some(check => check(buffer));
+}
+
+exports.normalizeSequence = normalizeSequence;
+exports.selectCompletionOptions = selectCompletionOptions;
+exports.createCompletionCheck = createCompletionCheck;
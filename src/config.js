@@ -0,0 +1,239 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const errors = require('./errors');
+const portOptions = require('./portOptions');
+const validation = require('./validation');
+
+const validateSchema = validation.validateSchema;
+const checkKnownKeys = validation.checkKnownKeys;
+const isObject = validation.isObject;
+
+const matchFields = ['manufacturer', 'vendorId', 'productId', 'serialNumber', 'path'];
+// Hexadecimal ids are not listed with the same case on all platforms
+const caseInsensitiveFields = ['vendorId', 'productId'];
+
+const deviceFields = ['name', 'match', 'port', 'idCommand', 'idResponse', 'check', 'options'];
+
+// The rules come from the PortManager options schema
+const portSchema = pickSchema(['baudRate', 'dataBits', 'stopBits', 'parity', 'rtscts', 'xon', 'xoff', 'xany', 'hupcl', 'lock']);
+
+const optionsSchema = Object.assign(pickSchema([
+    'terminator',
+    'responseLength',
+    'serialResponseTimeout',
+    'interCharTimeout',
+    'interRequestDelay',
+    'maxQLength',
+    'retries',
+    'retryDelay',
+    'reconnection',
+    'initRetry'
+]), {
+    // A configuration file cannot hold functions
+    retryBackoff: {enum: ['fixed', 'linear', 'exponential']}
+});
+
+/**
+ * Create an optionCreator for DeviceManager from a declarative configuration. The configuration lists devices, each
+ * with the properties of the ports it matches and the options of the matching ports:
+ *
+ * - name: a name used in error messages
+ * - match: the properties the port description must have: manufacturer, vendorId, productId, serialNumber and path.
+ * Each one is a string or a list of strings, one of which must match. vendorId and productId are compared regardless
+ * of case, and path is a glob pattern such as '/dev/ttyUSB*'.
+ * - port: serial port options: baudRate, dataBits, stopBits, parity, rtscts, xon, xoff, xany, hupcl and lock
+ * - idCommand: the command identifying the device
+ * - idResponse: a regular expression with a capture group, extracting the device id from the answer to idCommand.
+ * Given as a string or as an object with a pattern and flags.
+ * - check: an optional regular expression that the responses must match
+ * - options: other PortManager options, such as terminator, serialResponseTimeout, retries or reconnection
+ *
+ * The first device matching a port gives its options.
+ * @param {object} config - The configuration, with a devices array
+ * @return {function} The optionCreator. Its config property is the configuration.
+ * @throws {ConfigError} If the configuration is invalid. All the problems are listed in the error.
+ */
+function createOptionCreator(config) {
+    var problems = [];
+    var devices = validateConfig(config, problems);
+    if (problems.length) {
+        throw new errors.ConfigError(problems);
+    }
+    var optionCreator = function (portInfo) {
+        var device = devices.find(device => device.matches(portInfo));
+        return device ? device.createOptions() : undefined;
+    };
+    optionCreator.config = config;
+    return optionCreator;
+}
+
+/**
+ * Read a configuration file and create an optionCreator from it. See createOptionCreator.
+ * @param {string} file - The path of a JSON or YAML file. Files with a .yaml or .yml extension are parsed as YAML.
+ * @return {function} The optionCreator
+ * @throws {ConfigError} If the file cannot be read or parsed, or the configuration is invalid
+ */
+function loadOptionCreator(file) {
+    var config;
+    try {
+        var text = fs.readFileSync(file, 'utf8');
+        config = /\.ya?ml$/i.test(file) ? yaml.safeLoad(text, {filename: file}) : JSON.parse(text);
+    } catch (err) {
+        throw new errors.ConfigError([`${path.basename(file)}: ${err.message}`], {file});
+    }
+    try {
+        return createOptionCreator(config);
+    } catch (err) {
+        if (err.code === 'INVALID_CONFIG') err.file = file;
+        throw err;
+    }
+}
+
+function validateConfig(config, problems) {
+    if (!isObject(config)) {
+        problems.push('config: expected an object with a devices array');
+        return [];
+    }
+    checkKnownKeys(config, ['devices'], 'config', problems);
+    if (!Array.isArray(config.devices)) {
+        problems.push('devices: expected an array');
+        return [];
+    }
+    return config.devices.map((device, index) => {
+        var where = `devices[${index}]${isObject(device) && typeof device.name === 'string' ? ` (${device.name})` : ''}`;
+        return validateDevice(device, where, problems);
+    });
+}
+
+function validateDevice(device, where, problems) {
+    if (!isObject(device)) {
+        problems.push(`${where}: expected an object`);
+        return null;
+    }
+    checkKnownKeys(device, deviceFields, where, problems);
+    if (device.name !== undefined && typeof device.name !== 'string') {
+        problems.push(`${where}.name: expected a string`);
+    }
+    var matchers = validateMatch(device.match, `${where}.match`, problems);
+    validateSchema(device.port, portSchema, `${where}.port`, problems);
+    validateSchema(device.options, optionsSchema, `${where}.options`, problems);
+    if (typeof device.idCommand !== 'string' || !device.idCommand) {
+        problems.push(`${where}.idCommand: expected a non-empty string`);
+    }
+    var idResponse = validateRegExp(device.idResponse, `${where}.idResponse`, problems);
+    if (idResponse && countGroups(idResponse) < 1) {
+        problems.push(`${where}.idResponse: expected a capture group for the device id, such as ^ID=(\\w+)`);
+    }
+    var check = device.check === undefined ? null : validateRegExp(device.check, `${where}.check`, problems);
+    return {
+        matches: portInfo => matchers.every(matcher => matcher(portInfo)),
+        createOptions: () => {
+            var options = Object.assign({}, device.options, device.port, {
+                getIdCommand: device.idCommand,
+                getIdResponseParser: function (buffer) {
+                    idResponse.lastIndex = 0;
+                    var match = idResponse.exec(buffer);
+                    if (!match || !match[1]) {
+                        throw new errors.IdentificationError(`The id response ${JSON.stringify(buffer)} does not match ${idResponse}`, {buffer});
+                    }
+                    return match[1];
+                }
+            });
+            if (check) {
+                options.checkResponse = function (buffer) {
+                    check.lastIndex = 0;
+                    return check.test(buffer);
+                };
+            }
+            return options;
+        }
+    };
+}
+
+function validateMatch(match, where, problems) {
+    if (!isObject(match)) {
+        problems.push(`${where}: expected an object with at least one of ${matchFields.join(', ')}`);
+        return [];
+    }
+    checkKnownKeys(match, matchFields, where, problems);
+    var fields = matchFields.filter(field => match[field] !== undefined);
+    if (!fields.length) {
+        problems.push(`${where}: expected at least one of ${matchFields.join(', ')}`);
+    }
+    return fields.map(field => {
+        var values = Array.isArray(match[field]) ? match[field] : [match[field]];
+        if (!values.length || values.some(value => typeof value !== 'string')) {
+            problems.push(`${where}.${field}: expected a string or a non-empty array of strings`);
+            return () => false;
+        }
+        if (field === 'path') {
+            var patterns = values.map(globToRegExp);
+            return portInfo => patterns.some(pattern => pattern.test(portInfo.path || portInfo.comName || ''));
+        }
+        var ignoreCase = caseInsensitiveFields.includes(field);
+        var normalize = value => (ignoreCase ? String(value).toLowerCase() : String(value));
+        var expected = values.map(normalize);
+        return portInfo => portInfo[field] !== undefined && portInfo[field] !== null && expected.includes(normalize(portInfo[field]));
+    });
+}
+
+function validateRegExp(value, where, problems) {
+    var pattern = value;
+    var flags = '';
+    if (isObject(value)) {
+        checkKnownKeys(value, ['pattern', 'flags'], where, problems);
+        pattern = value.pattern;
+        flags = value.flags || '';
+    }
+    if (typeof pattern !== 'string') {
+        problems.push(`${where}: expected a regular expression string, or an object with a pattern and flags`);
+        return null;
+    }
+    try {
+        return new RegExp(pattern, flags);
+    } catch (err) {
+        problems.push(`${where}: ${err.message}`);
+        return null;
+    }
+}
+
+function pickSchema(keys) {
+    var schema = {};
+    keys.forEach(key => {
+        schema[key] = portOptions.schema[key];
+    });
+    return schema;
+}
+
+function countGroups(regExp) {
+    // The empty alternative matches the empty string, which gives the number of groups
+    return new RegExp(`${regExp.source}|`).exec('').length - 1;
+}
+
+function globToRegExp(glob) {
+    var source = glob.replace(/\*\*|[*?]|\[!?|[\\^$.|+(){}\]]/g, token => {
+        switch (token) {
+            case '**':
+                return '.*';
+            case '*':
+                return '[^/]*';
+            case '?':
+                return '[^/]';
+            case '[':
+                return '[';
+            case '[!':
+                return '[^';
+            case ']':
+                return ']';
+            default:
+                return `\\${token}`;
+        }
+    });
+    return new RegExp(`^${source}$`);
+}
+
+exports.createOptionCreator = createOptionCreator;
+exports.loadOptionCreator = loadOptionCreator;
@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * Base class of the errors of this library. Each error has a stable code and carries context about the failure, such as
+ * the device id, the port, the command and the buffer received so far.
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Human-readable error message
+ * @param {object} [context] - Properties copied onto the error
+ */
+class SerialRequestsError extends Error {
+    constructor(code, message, context) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        Object.assign(this, context);
+    }
+}
+
+/**
+ * The device is not initialized and cannot receive requests
+ */
+class DeviceNotReadyError extends SerialRequestsError {
+    constructor(context) {
+        super('DEVICE_NOT_READY', 'Device is not ready', context);
+    }
+}
+
+/**
+ * The queue of the requested priority is full
+ */
+class QueueFullError extends SerialRequestsError {
+    constructor(context) {
+        super('QUEUE_FULL', 'Maximum Queue size exceeded, wait for commands to be processed', context);
+    }
+}
+
+/**
+ * The device connected to the port changed between the moment a request was queued and the moment it was sent
+ */
+class DeviceIdMismatchError extends SerialRequestsError {
+    constructor(context) {
+        super('DEVICE_ID_MISMATCH', 'invalid id', context);
+    }
+}
+
+/**
+ * The checkResponse option rejected the response of the device
+ */
+class ResponseValidationError extends SerialRequestsError {
+    constructor(context) {
+        super('RESPONSE_VALIDATION_ERROR', 'The device response to the command did not pass validation', context);
+    }
+}
+
+/**
+ * The command could not be written to the port. The original error is available in the cause property.
+ */
+class WriteError extends SerialRequestsError {
+    constructor(context) {
+        super('WRITE_ERROR', 'Error writing to serial port', context);
+    }
+}
+
+/**
+ * The device manager could not find a device with the requested id in time
+ */
+class DeviceLookupTimeoutError extends SerialRequestsError {
+    constructor(context) {
+        super('DEVICE_LOOKUP_TIMEOUT', `timeout exceeded. Device with ID ${context.deviceId} is not connected, failed to init, or is slow to init`, context);
+    }
+}
+
+/**
+ * The device did not answer the id command with a usable id
+ */
+class IdentificationError extends SerialRequestsError {
+    constructor(message, context) {
+        super('IDENTIFICATION_ERROR', message, context);
+    }
+}
+
+/**
+ * A request or its options are invalid
+ */
+class InvalidRequestError extends SerialRequestsError {
+    constructor(message, context) {
+        super('INVALID_REQUEST', message, context);
+    }
+}
+
+/**
+ * The manager was closed before the request could be executed
+ */
+class ClosedError extends SerialRequestsError {
+    constructor(context) {
+        super('CLOSED', 'The manager was closed', context);
+    }
+}
+
+/**
+ * The request was aborted with its AbortSignal
+ */
+class AbortError extends SerialRequestsError {
+    constructor(context) {
+        super('ABORTED', 'The request was aborted', context);
+    }
+}
+
+/**
+ * A configuration is invalid. The problems property lists every problem found. If the context has a port, the error is
+ * about the options of that port.
+ */
+class ConfigError extends SerialRequestsError {
+    constructor(problems, context) {
+        var subject = context && context.port ? `options for port ${context.port}` : 'configuration';
+        super('INVALID_CONFIG', `Invalid ${subject}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`, Object.assign({problems}, context));
+    }
+}
+
+/**
+ * The checksum of a response does not match its content
+ */
+class ChecksumError extends SerialRequestsError {
+    constructor(context) {
+        super('CHECKSUM_MISMATCH', `Invalid checksum: expected ${context.expected}, received ${context.actual}`, context);
+    }
+}
+
+/**
+ * A response could not be decoded by the codec of the port
+ */
+class FramingError extends SerialRequestsError {
+    constructor(message, context) {
+        super('INVALID_FRAME', message, context);
+    }
+}
+
+/**
+ * A Modbus unit answered a request with an exception response
+ */
+class ModbusExceptionError extends SerialRequestsError {
+    constructor(context) {
+        super('MODBUS_EXCEPTION', `Modbus unit ${context.unitId} answered with exception ${context.exceptionCode} (${context.exceptionName})`, context);
+    }
+}
+
+/**
+ * A Modbus unit did not answer, or its answer is not a valid response to the request
+ */
+class ModbusResponseError extends SerialRequestsError {
+    constructor(message, context) {
+        super('MODBUS_INVALID_RESPONSE', message, context);
+    }
+}
+
+/**
+ * A SCPI instrument reported an error in its error queue after a command
+ */
+class ScpiError extends SerialRequestsError {
+    constructor(context) {
+        super('SCPI_ERROR', `Instrument error ${context.instrumentCode} after ${context.command.trim()}: ${context.instrumentMessage}`, context);
+    }
+}
+
+exports.SerialRequestsError = SerialRequestsError;
+exports.DeviceNotReadyError = DeviceNotReadyError;
+exports.QueueFullError = QueueFullError;
+exports.DeviceIdMismatchError = DeviceIdMismatchError;
+exports.ResponseValidationError = ResponseValidationError;
+exports.WriteError = WriteError;
+exports.DeviceLookupTimeoutError = DeviceLookupTimeoutError;
+exports.IdentificationError = IdentificationError;
+exports.InvalidRequestError = InvalidRequestError;
+exports.ClosedError = ClosedError;
+exports.AbortError = AbortError;
+exports.ConfigError = ConfigError;
+exports.ChecksumError = ChecksumError;
+exports.FramingError = FramingError;
+exports.ModbusExceptionError = ModbusExceptionError;
+exports.ModbusResponseError = ModbusResponseError;
+exports.ScpiError = ScpiError;
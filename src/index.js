@@ -2,3 +2,40 @@
 
 exports.DeviceManager = require('./DeviceManager');
 exports.PortManager = require('./PortManager');
+exports.SerialTransport = require('./transports/SerialTransport');
+exports.TcpTransport = require('./transports/TcpTransport');
+exports.UnixSocketTransport = require('./transports/UnixSocketTransport');
+exports.MockTransport = require('./transports/MockTransport');
+exports.ReplayTransport = require('./transports/ReplayTransport');
+exports.TrafficRecorder = require('./TrafficRecorder');
+exports.MemoryDeviceStore = require('./stores/MemoryDeviceStore');
+exports.JsonFileDeviceStore = require('./stores/JsonFileDeviceStore');
+exports.MockDevice = require('./MockDevice');
+exports.ModbusRtuClient = require('./ModbusRtuClient');
+exports.ScpiClient = require('./ScpiClient');
+exports.HttpGateway = require('./HttpGateway');
+exports.WebSocketBridge = require('./WebSocketBridge');
+exports.PollScheduler = require('./PollScheduler');
+exports.codecs = require('./codecs');
+exports.config = require('./config');
+exports.checksums = require('./checksums');
+
+const errors = require('./errors');
+
+exports.SerialRequestsError = errors.SerialRequestsError;
+exports.DeviceNotReadyError = errors.DeviceNotReadyError;
+exports.QueueFullError = errors.QueueFullError;
+exports.DeviceIdMismatchError = errors.DeviceIdMismatchError;
+exports.ResponseValidationError = errors.ResponseValidationError;
+exports.WriteError = errors.WriteError;
+exports.DeviceLookupTimeoutError = errors.DeviceLookupTimeoutError;
+exports.IdentificationError = errors.IdentificationError;
+exports.InvalidRequestError = errors.InvalidRequestError;
+exports.ClosedError = errors.ClosedError;
+exports.AbortError = errors.AbortError;
+exports.ConfigError = errors.ConfigError;
+exports.ChecksumError = errors.ChecksumError;
+exports.FramingError = errors.FramingError;
+exports.ModbusExceptionError = errors.ModbusExceptionError;
+exports.ModbusResponseError = errors.ModbusResponseError;
+exports.ScpiError = errors.ScpiError;
@@ -0,0 +1,98 @@
+'use strict';
+
+const validation = require('./validation');
+
+const sequence = {type: ['string', 'buffer', 'bytes'], nonEmpty: true};
+
+const policySchema = {
+    initialDelay: {type: 'number', min: 0},
+    factor: {type: 'number', min: 0},
+    jitter: {type: 'number', min: 0, check: value => (value > 1 ? 'expected at most 1' : null)},
+    maxDelay: {type: 'number', min: 0, allowInfinity: true},
+    maxAttempts: {type: 'number', min: 1, allowInfinity: true}
+};
+
+const schema = {
+    getIdCommand: {type: ['string', 'buffer'], nonEmpty: true, required: true},
+    getIdResponseParser: {type: 'function'},
+    checkResponse: {type: 'function'},
+    serialResponseTimeout: {type: 'number', min: 0},
+    interCharTimeout: {type: 'number', min: 0},
+    interRequestDelay: {type: 'number', min: 0},
+    maxQLength: {type: 'integer', min: 0},
+    maxQLengthByPriority: {type: 'object', values: {type: 'integer', min: 0}},
+    priorities: {type: 'array', nonEmpty: true, items: {type: 'string'}},
+    defaultPriority: {type: 'string'},
+    retries: {type: 'integer', min: 0},
+    retryDelay: {type: 'number', min: 0},
+    retryBackoff: {type: ['string', 'function'], check: checkBackoff},
+    retryOn: {type: ['array', 'function'], items: {type: ['function', 'string']}},
+    binary: {type: 'boolean'},
+    codec: {type: ['object', 'array'], check: checkCodec},
+    commands: {type: 'object', values: {type: 'object', check: checkCommand}},
+    unsolicited: {type: 'object', properties: {
+        terminator: sequence,
+        match: {type: ['regexp', 'function']},
+        parse: {type: 'function'}
+    }},
+    reconnection: {type: 'object', properties: policySchema},
+    initRetry: {type: 'object', properties: policySchema},
+    terminator: sequence,
+    responsePattern: {type: 'regexp'},
+    responseLength: {type: 'integer', min: 1},
+    isComplete: {type: 'function'},
+    // Serial port options
+    baudRate: {type: 'integer', min: 1},
+    dataBits: {enum: [5, 6, 7, 8]},
+    stopBits: {enum: [1, 1.5, 2]},
+    parity: {enum: ['none', 'even', 'odd', 'mark', 'space']},
+    rtscts: {type: 'boolean'},
+    xon: {type: 'boolean'},
+    xoff: {type: 'boolean'},
+    xany: {type: 'boolean'},
+    hupcl: {type: 'boolean'},
+    lock: {type: 'boolean'}
+};
+
+/**
+ * Validate the options of a PortManager, merged with the default options. Options that are not in the schema are
+ * accepted, since transports may use their own, unless they look like a misspelled option such as baudrate.
+ * @param {object} options
+ * @return {Array<string>} The problems found, empty if the options are valid
+ */
+function validate(options) {
+    var problems = [];
+    validation.validateSchema(options, schema, '', problems, {allowUnknown: true});
+    if (problems.length) return problems;
+    var byteMode = options.binary || options.codec;
+    if (!byteMode && typeof options.getIdCommand !== 'string') {
+        problems.push('getIdCommand: expected a string, Buffers are only accepted with the binary or codec option');
+    }
+    if (!options.priorities.includes(options.defaultPriority)) {
+        problems.push(`defaultPriority: expected one of the priorities, received ${validation.describe(options.defaultPriority)}`);
+    }
+    Object.keys(options.maxQLengthByPriority).filter(priority => !options.priorities.includes(priority)).forEach(priority => {
+        problems.push(`maxQLengthByPriority.${priority}: unknown priority`);
+    });
+    return problems;
+}
+
+function checkBackoff(backoff) {
+    if (typeof backoff === 'function' || ['fixed', 'linear', 'exponential'].includes(backoff)) return null;
+    return 'expected "fixed", "linear", "exponential" or a function';
+}
+
+function checkCommand(definition) {
+    if (typeof definition.command === 'string' || typeof definition.command === 'function') return null;
+    return 'expected a definition with a command template or function';
+}
+
+function checkCodec(codec) {
+    var codecs = [].concat(codec);
+    var invalid = codecs.findIndex(codec => !codec || typeof codec.encode !== 'function' || typeof codec.decode !== 'function');
+    if (invalid === -1) return null;
+    return `expected ${Array.isArray(codec) ? `item ${invalid} to be ` : ''}a codec with encode and decode functions`;
+}
+
+exports.schema = schema;
+exports.validate = validate;
@@ -0,0 +1,42 @@
+'use strict';
+
+const defaultPolicy = {
+    initialDelay: 2000,
+    factor: 1,
+    jitter: 0,
+    maxDelay: Infinity,
+    maxAttempts: Infinity
+};
+
+/**
+ * Complete a policy with the default values. The default policy retries every 2 seconds forever.
+ * @param {object} [policy]
+ * @param {number} [policy.initialDelay=2000] - Delay in ms before the first retry
+ * @param {number} [policy.factor=1] - The delay is multiplied by this factor after each failed attempt. Use 2 for an
+ * exponential backoff.
+ * @param {number} [policy.jitter=0] - Randomization of the delay, as a fraction of it. With 0.1 the delay varies by up to
+ * 10% in both directions.
+ * @param {number} [policy.maxDelay=Infinity] - Maximum delay in ms
+ * @param {number} [policy.maxAttempts=Infinity] - Number of failed attempts after which retrying stops
+ * @return {object}
+ */
+function createPolicy(policy) {
+    return Object.assign({}, defaultPolicy, policy);
+}
+
+/**
+ * Get the delay before the next attempt
+ * @param {object} policy - A complete policy
+ * @param {number} attempt - The number of attempts that already failed
+ * @return {number} The delay in ms
+ */
+function getDelay(policy, attempt) {
+    var delay = Math.min(policy.maxDelay, policy.initialDelay * Math.pow(policy.factor, attempt - 1));
+    if (policy.jitter) {
+        delay *= 1 + policy.jitter * (Math.random() * 2 - 1);
+    }
+    return Math.round(delay);
+}
+
+exports.createPolicy = createPolicy;
+exports.getDelay = getDelay;
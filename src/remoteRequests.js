@@ -0,0 +1,66 @@
+'use strict';
+
+const errors = require('./errors');
+
+const encodings = ['utf8', 'hex', 'base64'];
+
+/**
+ * Send a request described by a JSON message, as received by the HttpGateway and the WebSocketBridge
+ * @param {DeviceManager} deviceManager
+ * @param {string} id - The id of the device
+ * @param {object} message
+ * @param {string} message.command - The command, in the given encoding
+ * @param {string} [message.encoding='utf8'] - 'utf8', 'hex' or 'base64'. The response is given in the same encoding.
+ * 'hex' and 'base64' need a port in binary mode: the responses of the other ports are decoded as UTF-8, so their bytes
+ * are lost.
+ * @param {number} [message.timeout] - Timeout of the request, see PortManager#addRequest
+ * @param {string} [message.priority] - Priority of the request
+ * @param {*} [message.tag] - Tag of the request
+ * @return {Promise.<object>} The id of the device, the encoded response and its encoding. Rejected with an
+ * InvalidRequestError for a binary encoding on a port that is not in binary mode.
+ */
+function sendRequest(deviceManager, id, message) {
+    var encoding = message.encoding || 'utf8';
+    if (typeof message.command !== 'string') {
+        return Promise.reject(new errors.InvalidRequestError('The message must have a command string', {deviceId: id}));
+    }
+    if (!encodings.includes(encoding)) {
+        return Promise.reject(new errors.InvalidRequestError(`Unknown encoding ${encoding}, expected one of ${encodings.join(', ')}`, {deviceId: id}));
+    }
+    var cmd = encoding === 'utf8' ? message.command : Buffer.from(message.command, encoding);
+    var options = {};
+    ['timeout', 'priority', 'tag'].forEach(key => {
+        if (message[key] !== undefined) options[key] = message[key];
+    });
+    var status = deviceManager.getDeviceStatus(id);
+    if (encoding !== 'utf8' && status && !status.binary) {
+        return Promise.reject(createTextModeError(id, encoding));
+    }
+    return deviceManager.addRequest(id, cmd, options).then(response => {
+        if (typeof response === 'string' && encoding !== 'utf8') {
+            // The device was connected while the request was waiting for it
+            throw createTextModeError(id, encoding);
+        }
+        return {
+            id,
+            response: typeof response === 'string' ? response : response.toString(encoding),
+            encoding
+        };
+    });
+}
+
+function createTextModeError(id, encoding) {
+    return new errors.InvalidRequestError(`The ${encoding} encoding needs a port in binary mode, the responses of this port are decoded as UTF-8`, {deviceId: id});
+}
+
+/**
+ * Describe an error in a JSON message
+ * @param {Error} err
+ * @return {object} The code, name and message of the error
+ */
+function serializeError(err) {
+    return {code: err.code || 'INTERNAL_ERROR', name: err.name, message: err.message};
+}
+
+exports.sendRequest = sendRequest;
+exports.serializeError = serializeError;
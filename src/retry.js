@@ -0,0 +1,58 @@
+'use strict';
+
+const retryOptions = ['retries', 'retryDelay', 'retryBackoff', 'retryOn'];
+
+const backoffStrategies = {
+    fixed: (attempt, delay) => delay,
+    linear: (attempt, delay) => delay * attempt,
+    exponential: (attempt, delay) => delay * Math.pow(2, attempt - 1)
+};
+
+/**
+ * Merge the retry options of a request with the ones of the port. Options defined on the request take precedence.
+ * @param {object} portOptions - The options of the port
+ * @param {object} requestOptions - The options of the request
+ * @return {object} An object containing only retry options
+ */
+function selectRetryOptions(portOptions, requestOptions) {
+    var selected = {};
+    retryOptions.forEach(key => {
+        selected[key] = requestOptions[key] !== undefined ? requestOptions[key] : portOptions[key];
+    });
+    return selected;
+}
+
+/**
+ * Tell if a failed attempt should be retried
+ * @param {Array|function} retryOn - An array of error classes or error codes, or a predicate receiving the error
+ * @param {Error} error - The error of the failed attempt
+ * @return {boolean}
+ */
+function shouldRetry(retryOn, error) {
+    if (typeof retryOn === 'function') {
+        return Boolean(retryOn(error));
+    }
+    return retryOn.some(item => {
+        if (typeof item === 'string') return error.code === item;
+        return error instanceof item;
+    });
+}
+
+/**
+ * Get the delay to wait before a retry
+ * @param {object} options - Retry options
+ * @param {number} attempt - The number of attempts that already failed
+ * @return {number} The delay in ms
+ */
+function getRetryDelay(options, attempt) {
+    var backoff = options.retryBackoff;
+    if (typeof backoff !== 'function') {
+        backoff = backoffStrategies[backoff];
+        if (!backoff) throw new Error(`Unknown retry backoff strategy: ${options.retryBackoff}`);
+    }
+    return backoff(attempt, options.retryDelay);
+}
+
+exports.selectRetryOptions = selectRetryOptions;
+exports.shouldRetry = shouldRetry;
+exports.getRetryDelay = getRetryDelay;
@@ -0,0 +1,66 @@
+'use strict';
+
+const fs = require('fs');
+const debug = require('debug')('serial-requests:JsonFileDeviceStore');
+
+/**
+ * Keeps the history of devices in a JSON file, so that it survives restarts. The file is read when the store is created
+ * and rewritten after each change.
+ * @constructor
+ * @param {string} path - The path of the JSON file. It is created if it does not exist.
+ */
+class JsonFileDeviceStore {
+    constructor(path) {
+        this.path = path;
+        this.records = {};
+        this.saving = Promise.resolve();
+        try {
+            this.records = JSON.parse(fs.readFileSync(path, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            debug('no device history found at', path);
+        }
+    }
+
+    /**
+     * Get the history record of a device
+     * @param {string} id - Device id
+     * @return {object|undefined} The record, or undefined if the device was never seen
+     */
+    get(id) {
+        return this.records[id];
+    }
+
+    /**
+     * Save the history record of a device
+     * @param {string} id - Device id
+     * @param {object} record
+     * @return {Promise} A promise resolving once the file is written
+     */
+    set(id, record) {
+        this.records[id] = record;
+        var content = JSON.stringify(this.records, null, 2);
+        // Writes are chained so that an older content never overwrites a newer one
+        this.saving = this.saving.then(() => this._write(content), () => this._write(content));
+        return this.saving;
+    }
+
+    _write(content) {
+        // Write to a temporary file first so that a crash never leaves a truncated file
+        var tmpPath = `${this.path}.tmp`;
+        return new Promise((resolve, reject) => {
+            fs.writeFile(tmpPath, content, err => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                fs.rename(tmpPath, this.path, err => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+    }
+}
+
+module.exports = JsonFileDeviceStore;
@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * Keeps the history of devices in memory. The history is lost when the process exits.
+ * A device store must implement get(id) and set(id, record). Both may return promises.
+ * @constructor
+ */
+class MemoryDeviceStore {
+    constructor() {
+        this.records = {};
+    }
+
+    /**
+     * Get the history record of a device
+     * @param {string} id - Device id
+     * @return {object|undefined} The record, or undefined if the device was never seen
+     */
+    get(id) {
+        return this.records[id];
+    }
+
+    /**
+     * Save the history record of a device
+     * @param {string} id - Device id
+     * @param {object} record
+     */
+    set(id, record) {
+        this.records[id] = record;
+    }
+}
+
+module.exports = MemoryDeviceStore;
@@ -0,0 +1,149 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+/**
+ * Transport connecting to in-memory MockDevices
+ * @constructor
+ */
+class MockTransport {
+    constructor() {
+        this.name = 'mock';
+        this.devices = {};
+        this.watchers = [];
+    }
+
+    /**
+     * Be notified when the port list changes: a device is added, removed, plugged or unplugged
+     * @param {function} listener
+     * @return {function} A function that stops the notifications
+     */
+    watch(listener) {
+        this.watchers.push(listener);
+        return () => {
+            var index = this.watchers.indexOf(listener);
+            if (index !== -1) this.watchers.splice(index, 1);
+        };
+    }
+
+    /**
+     * Make a device available on a port
+     * @param {string} comName - The name of the port
+     * @param {MockDevice} device
+     * @param {object} [portInfo] - Additional properties of the port description, such as manufacturer
+     * @return {MockDevice} The device
+     */
+    addDevice(comName, device, portInfo) {
+        var notify = () => this._notify();
+        this.devices[comName] = {
+            device,
+            notify,
+            info: Object.assign({comName, transport: this.name}, portInfo)
+        };
+        device.on('plug', notify);
+        device.on('unplug', notify);
+        this._notify();
+        return device;
+    }
+
+    /**
+     * Remove the device of a port, disconnecting it if it is connected
+     * @param {string} comName - The name of the port
+     */
+    removeDevice(comName) {
+        var entry = this.devices[comName];
+        if (!entry) return;
+        delete this.devices[comName];
+        entry.device.removeListener('plug', entry.notify);
+        entry.device.removeListener('unplug', entry.notify);
+        if (entry.device.connection) {
+            entry.device.connection._disconnect();
+        }
+        this._notify();
+    }
+
+    /**
+     * List the ports of the devices that are plugged in
+     * @return {Promise.<Array<object>>} The port descriptions
+     */
+    list() {
+        var infos = Object.keys(this.devices)
+            .filter(comName => this.devices[comName].device.plugged)
+            .map(comName => this.devices[comName].info);
+        return Promise.resolve(infos);
+    }
+
+    _notify() {
+        this.watchers.forEach(listener => listener());
+    }
+
+    /**
+     * Open the port of a device
+     * @param {string} comName - The name of the port
+     * @return {MockConnection}
+     */
+    open(comName) {
+        var entry = this.devices[comName];
+        return new MockConnection(comName, entry && entry.device);
+    }
+}
+
+/**
+ * A connection to a MockDevice exposing the subset of the SerialPort api used by PortManager
+ * @private
+ */
+class MockConnection extends EventEmitter {
+    constructor(comName, device) {
+        super();
+        this.isOpen = false;
+        this.device = device;
+        process.nextTick(() => {
+            if (!device || !device.plugged) {
+                this.emit('error', new Error(`Port ${comName} not found`));
+            } else if (device.connection) {
+                this.emit('error', new Error(`Port ${comName} is already open`));
+            } else {
+                device.connection = this;
+                this.isOpen = true;
+                this.emit('open');
+            }
+        });
+    }
+
+    write(data, callback) {
+        process.nextTick(() => {
+            var err = this.isOpen ? this.device._write(Buffer.from(data)) : new Error('Port is not open');
+            if (callback) callback(err);
+        });
+    }
+
+    close(callback) {
+        var wasOpen = this.isOpen;
+        this._detach();
+        process.nextTick(() => {
+            if (wasOpen) this.emit('close');
+            if (callback) callback(wasOpen ? null : new Error('Port is not open'));
+        });
+    }
+
+    _receiveData(data) {
+        if (this.isOpen) {
+            this.emit('data', data);
+        }
+    }
+
+    _disconnect() {
+        this._detach();
+        this.emit('disconnect', new Error('Device unplugged'));
+        this.emit('close');
+    }
+
+    _detach() {
+        this.isOpen = false;
+        if (this.device && this.device.connection === this) {
+            this.device.connection = null;
+        }
+    }
+}
+
+module.exports = MockTransport;
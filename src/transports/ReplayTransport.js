@@ -0,0 +1,147 @@
+'use strict';
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const debug = require('debug')('serial-requests:ReplayTransport');
+
+/**
+ * Transport replaying a recording made with a TrafficRecorder. Each time a port is opened, the next recorded session of
+ * that port is replayed: the recorded data is sent with its original timing, each time the written command matches the
+ * recorded one. A port is listed as long as it has sessions left to replay.
+ * @constructor
+ * @param {string|Array<object>} recording - The path of the NDJSON recording, or its parsed entries
+ * @param {object} [options]
+ * @param {boolean} [options.strict=true] - If true, writing a command that differs from the recorded one fails. If
+ * false, the recorded exchange is replayed anyway.
+ */
+class ReplayTransport {
+    constructor(recording, options) {
+        this.name = 'replay';
+        this.options = Object.assign({strict: true}, options);
+        if (typeof recording === 'string') {
+            recording = fs.readFileSync(recording, 'utf8')
+                .split('\n')
+                .filter(line => line.trim())
+                .map(line => JSON.parse(line));
+        }
+        this.sessions = {};
+        recording.forEach(entry => {
+            var sessions = this.sessions[entry.port] = this.sessions[entry.port] || [];
+            if (entry.event === 'open') {
+                sessions.push({portInfo: entry.portInfo, entries: []});
+            } else if (sessions.length) {
+                sessions[sessions.length - 1].entries.push(entry);
+            }
+        });
+    }
+
+    /**
+     * List the recorded ports that have sessions left to replay
+     * @return {Promise.<Array<object>>} The recorded port descriptions
+     */
+    list() {
+        var infos = Object.keys(this.sessions)
+            .filter(port => this.sessions[port].length)
+            .map(port => Object.assign({comName: port}, this.sessions[port][0].portInfo, {transport: this.name}));
+        return Promise.resolve(infos);
+    }
+
+    /**
+     * Open a port, starting the replay of its next session
+     * @param {string} comName - The name of the recorded port
+     * @return {ReplayConnection}
+     */
+    open(comName) {
+        var sessions = this.sessions[comName] || [];
+        return new ReplayConnection(comName, sessions.shift(), this.options);
+    }
+}
+
+/**
+ * A connection replaying a recorded session, exposing the subset of the SerialPort api used by PortManager
+ * @private
+ */
+class ReplayConnection extends EventEmitter {
+    constructor(comName, session, options) {
+        super();
+        this.comName = comName;
+        this.options = options;
+        this.isOpen = false;
+        this.timeouts = [];
+        this.cursor = 0;
+        process.nextTick(() => {
+            if (!session) {
+                this.emit('error', new Error(`No recorded session left for port ${comName}`));
+                return;
+            }
+            this.entries = session.entries;
+            this.isOpen = true;
+            // Move to the first recorded write before announcing the port is open, as it is written to right away
+            this._play(session.entries.length ? session.entries[0].time : 0);
+            this.emit('open');
+        });
+    }
+
+    write(data, callback) {
+        var expected = this.entries && this.entries[this.cursor];
+        var hex = Buffer.from(data).toString('hex');
+        var err = null;
+        if (!this.isOpen) {
+            err = new Error('Port is not open');
+        } else if (!expected || expected.event !== 'write') {
+            err = new Error(`Replay mismatch on ${this.comName}: no write was recorded at this point`);
+        } else if (expected.data !== hex && this.options.strict) {
+            err = new Error(`Replay mismatch on ${this.comName}: expected ${expected.data}, got ${hex}`);
+        }
+        process.nextTick(() => {
+            if (callback) callback(err);
+            if (!err) {
+                this.cursor++;
+                this._play(expected.time);
+            }
+        });
+    }
+
+    close(callback) {
+        this._stop();
+        process.nextTick(() => {
+            this.emit('close');
+            if (callback) callback(null);
+        });
+    }
+
+    _play(startTime) {
+        // Replays the recorded events up to the next write, with their timing relative to startTime
+        while (this.cursor < this.entries.length && this.entries[this.cursor].event !== 'write') {
+            const entry = this.entries[this.cursor++];
+            const delay = Math.max(0, entry.time - startTime);
+            if (entry.event === 'data') {
+                this._schedule(delay, () => this.emit('data', Buffer.from(entry.data, 'hex')));
+            } else if (entry.event === 'disconnect') {
+                this._schedule(delay, () => this.emit('disconnect', new Error('Recorded disconnection')));
+            } else if (entry.event === 'close') {
+                this._schedule(delay, () => {
+                    this._stop();
+                    this.emit('close');
+                });
+            }
+        }
+        if (this.cursor >= this.entries.length) {
+            debug('end of recorded session for port', this.comName);
+        }
+    }
+
+    _schedule(delay, fn) {
+        this.timeouts.push(setTimeout(() => {
+            if (this.isOpen) fn();
+        }, delay));
+    }
+
+    _stop() {
+        this.isOpen = false;
+        this.timeouts.forEach(clearTimeout);
+        this.timeouts = [];
+    }
+}
+
+module.exports = ReplayTransport;
@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * Transport for local serial ports, based on node-serialport. The native serialport module is only loaded once the
+ * transport is used, so that other transports work where it is not built.
+ * @constructor
+ */
+class SerialTransport {
+    constructor() {
+        this.name = 'serial';
+    }
+
+    /**
+     * List the available serial ports
+     * @return {Promise.<Array<object>>} The port descriptions as given by SerialPort.list, with a transport property
+     */
+    list() {
+        return new Promise((resolve, reject) => {
+            loadSerialPort().list((err, ports) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(ports.map(port => Object.assign({transport: this.name}, port)));
+            });
+        });
+    }
+
+    /**
+     * Open a serial port
+     * @param {string} comName - The name of the port
+     * @param {object} options - Options passed to the SerialPort constructor
+     * @return {SerialPort}
+     */
+    open(comName, options) {
+        var SerialPort = loadSerialPort();
+        return new SerialPort(comName, Object.assign({}, options, {parser: SerialPort.parsers.raw}));
+    }
+}
+
+function loadSerialPort() {
+    return require('serialport');
+}
+
+module.exports = SerialTransport;
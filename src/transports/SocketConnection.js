@@ -0,0 +1,70 @@
+'use strict';
+
+const EventEmitter = require('events');
+const net = require('net');
+const debug = require('debug')('serial-requests:SocketConnection');
+
+/**
+ * A socket connection exposing the subset of the SerialPort api used by PortManager: the open, data, error, disconnect
+ * and close events and the write and close methods.
+ * @constructor
+ * @param {object} connectOptions - Options passed to net.connect
+ */
+class SocketConnection extends EventEmitter {
+    constructor(connectOptions) {
+        super();
+        this.isOpen = false;
+        this.socket = net.connect(connectOptions);
+        this.socket.on('connect', () => {
+            debug('socket connected');
+            this.isOpen = true;
+            this.emit('open');
+        });
+        this.socket.on('data', data => {
+            this.emit('data', data);
+        });
+        this.socket.on('end', () => {
+            // The remote end closed the connection
+            this.emit('disconnect', new Error('Connection closed by the remote end'));
+        });
+        this.socket.on('error', err => {
+            this.emit('error', err);
+        });
+        this.socket.on('close', () => {
+            // Like SerialPort, only a connection that was opened emits close
+            if (!this.isOpen) return;
+            this.isOpen = false;
+            this.emit('close');
+        });
+    }
+
+    /**
+     * Write data to the socket
+     * @param {string|Buffer} data
+     * @param {function} [callback] - Called once the data is written, with an error if writing failed
+     */
+    write(data, callback) {
+        if (!this.isOpen) {
+            process.nextTick(callback, new Error('Socket is not open'));
+            return;
+        }
+        this.socket.write(data, callback);
+    }
+
+    /**
+     * Close the socket
+     * @param {function} [callback] - Called once the socket is closed
+     */
+    close(callback) {
+        if (callback) {
+            if (this.socket.destroyed) {
+                process.nextTick(callback);
+            } else {
+                this.socket.once('close', () => callback());
+            }
+        }
+        this.socket.destroy();
+    }
+}
+
+module.exports = SocketConnection;
@@ -0,0 +1,42 @@
+'use strict';
+
+const SocketConnection = require('./SocketConnection');
+
+/**
+ * Transport for raw TCP connections, such as the ones offered by Ethernet-to-serial terminal servers
+ * @constructor
+ * @param {object} options
+ * @param {Array<object>} options.endpoints - The endpoints to connect to. Each endpoint must have a host and a port
+ * property. Other properties, such as manufacturer, are passed along in the port description so that optionCreator can
+ * match on them.
+ */
+class TcpTransport {
+    constructor(options) {
+        this.name = 'tcp';
+        this.endpoints = options.endpoints.map(endpoint => Object.assign({
+            comName: `tcp://${endpoint.host}:${endpoint.port}`,
+            transport: this.name
+        }, endpoint));
+    }
+
+    /**
+     * List the configured endpoints. Their reachability is only known once they are opened.
+     * @return {Promise.<Array<object>>} The port descriptions. The comName is of the form tcp://host:port
+     */
+    list() {
+        return Promise.resolve(this.endpoints.slice());
+    }
+
+    /**
+     * Connect to an endpoint
+     * @param {string} comName - The name of the endpoint, as returned by list
+     * @return {SocketConnection}
+     */
+    open(comName) {
+        var endpoint = this.endpoints.find(endpoint => endpoint.comName === comName);
+        if (!endpoint) throw new Error(`Unknown TCP endpoint: ${comName}`);
+        return new SocketConnection({host: endpoint.host, port: endpoint.port});
+    }
+}
+
+module.exports = TcpTransport;
@@ -0,0 +1,44 @@
+'use strict';
+
+const fs = require('fs');
+const SocketConnection = require('./SocketConnection');
+
+/**
+ * Transport for Unix domain sockets
+ * @constructor
+ * @param {object} options
+ * @param {Array<string>} options.paths - The paths of the sockets
+ */
+class UnixSocketTransport {
+    constructor(options) {
+        this.name = 'unix';
+        this.paths = options.paths;
+    }
+
+    /**
+     * List the configured sockets that currently exist
+     * @return {Promise.<Array<object>>} The port descriptions. The comName is the path of the socket.
+     */
+    list() {
+        return Promise.all(this.paths.map(path => new Promise(resolve => {
+            fs.stat(path, (err, stats) => {
+                resolve(!err && stats.isSocket());
+            });
+        }))).then(exists => {
+            return this.paths
+                .filter((path, index) => exists[index])
+                .map(path => ({comName: path, transport: this.name}));
+        });
+    }
+
+    /**
+     * Connect to a socket
+     * @param {string} comName - The path of the socket
+     * @return {SocketConnection}
+     */
+    open(comName) {
+        return new SocketConnection({path: comName});
+    }
+}
+
+module.exports = UnixSocketTransport;
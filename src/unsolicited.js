@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * Concatenate response buffers
+ * @param {Array<string|Buffer>} parts
+ * @param {boolean} binary - Whether the parts are Buffers
+ * @return {string|Buffer}
+ */
+function concat(parts, binary) {
+    return binary ? Buffer.concat(parts) : parts.join('');
+}
+
+/**
+ * Split a buffer into the frames that end with a terminator
+ * @param {string|Buffer} buffer
+ * @param {string|Buffer} terminator - Of the same type as the buffer
+ * @return {object}
+ * @property {Array<string|Buffer>} frames - The complete frames, terminator included
+ * @property {string|Buffer} rest - What follows the last frame
+ */
+function splitFrames(buffer, terminator) {
+    var frames = [];
+    var start = 0;
+    var index;
+    while ((index = buffer.indexOf(terminator, start)) !== -1) {
+        frames.push(buffer.slice(start, index + terminator.length));
+        start = index + terminator.length;
+    }
+    return {frames, rest: buffer.slice(start)};
+}
+
+/**
+ * Create a function telling if a frame is unsolicited
+ * @param {RegExp|function} match - A pattern, tested against the latin1 representation of Buffers, or a predicate
+ * @param {boolean} binary - Whether frames are Buffers
+ * @return {function}
+ */
+function createMatcher(match, binary) {
+    if (typeof match === 'function') return frame => Boolean(match(frame));
+    return frame => {
+        match.lastIndex = 0;
+        return match.test(binary ? frame.toString('latin1') : frame);
+    };
+}
+
+/**
+ * Remove the complete unsolicited frames from a response buffer
+ * @param {string|Buffer} buffer - The response buffer
+ * @param {string|Buffer} terminator - Of the same type as the buffer
+ * @param {function} isUnsolicited - Tells if a frame is unsolicited
+ * @param {boolean} binary - Whether the buffer is a Buffer
+ * @return {object}
+ * @property {Array<string|Buffer>} frames - The unsolicited frames
+ * @property {string|Buffer} buffer - The remaining response buffer
+ */
+function extractFrames(buffer, terminator, isUnsolicited, binary) {
+    var split = splitFrames(buffer, terminator);
+    var frames = split.frames.filter(isUnsolicited);
+    if (!frames.length) return {frames, buffer};
+    var kept = split.frames.filter(frame => !frames.includes(frame));
+    return {frames, buffer: concat(kept.concat([split.rest]), binary)};
+}
+
+exports.concat = concat;
+exports.splitFrames = splitFrames;
+exports.createMatcher = createMatcher;
+exports.extractFrames = extractFrames;
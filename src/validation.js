@@ -0,0 +1,165 @@
+'use strict';
+
+// Schema validation shared by the declarative configuration and the PortManager options. Validation functions push
+// a message per problem to a problems array, so that all the problems are reported at once.
+
+const types = {
+    integer: {test: Number.isInteger, description: 'an integer'},
+    number: {test: value => typeof value === 'number' && !isNaN(value), description: 'a number'},
+    string: {test: value => typeof value === 'string', description: 'a string'},
+    boolean: {test: value => typeof value === 'boolean', description: 'a boolean'},
+    function: {test: value => typeof value === 'function', description: 'a function'},
+    object: {test: isObject, description: 'an object'},
+    array: {test: Array.isArray, description: 'an array'},
+    regexp: {test: value => value instanceof RegExp, description: 'a RegExp'},
+    buffer: {test: value => value instanceof Uint8Array, description: 'a Buffer'},
+    bytes: {
+        test: value => Array.isArray(value) && value.every(byte => Number.isInteger(byte) && byte >= 0 && byte <= 0xFF),
+        description: 'an array of bytes'
+    }
+};
+
+/**
+ * Validate the properties of an object
+ * @param {*} value - The object to validate. Nothing is checked if it is undefined.
+ * @param {object} schema - A rule for each property. See checkValue for the properties of the rules. Rules can also
+ * have a required flag, and a properties schema validating the properties of objects.
+ * @param {string} where - The path of the object in the messages. Empty for a root object.
+ * @param {Array<string>} problems - The problems found are pushed to this array
+ * @param {object} [options]
+ * @param {boolean} [options.allowUnknown=false] - Accept the properties missing from the schema, unless they look like
+ * a misspelling of one of its properties
+ * @param {Array<string>} [options.knownKeys] - Other accepted properties
+ */
+function validateSchema(value, schema, where, problems, options) {
+    options = options || {};
+    if (value === undefined) return;
+    if (!isObject(value)) {
+        problems.push(`${where || 'value'}: expected an object, received ${describe(value)}`);
+        return;
+    }
+    checkKnownKeys(value, Object.keys(schema).concat(options.knownKeys || []), where, problems, options.allowUnknown);
+    Object.keys(schema).forEach(key => {
+        var path = where ? `${where}.${key}` : key;
+        if (value[key] === undefined) {
+            if (schema[key].required) problems.push(`${path}: required`);
+            return;
+        }
+        var problem = checkValue(value[key], schema[key]);
+        if (problem) {
+            problems.push(`${path}: ${problem}, received ${describe(value[key])}`);
+        } else if (schema[key].properties) {
+            validateSchema(value[key], schema[key].properties, path, problems);
+        }
+    });
+}
+
+/**
+ * Check a value against a rule
+ * @param {*} value
+ * @param {object} rule
+ * @param {string|Array<string>} [rule.type] - The expected type, or a list of accepted types: integer, number, string,
+ * boolean, function, object, array, regexp, buffer (Buffer or Uint8Array) or bytes (array of bytes)
+ * @param {Array} [rule.enum] - The accepted values
+ * @param {number} [rule.min] - Minimum of numbers
+ * @param {boolean} [rule.allowInfinity=false] - Accept Infinity for numbers
+ * @param {boolean} [rule.nonEmpty=false] - Reject empty strings, arrays and Buffers
+ * @param {object} [rule.items] - A rule for the items of arrays
+ * @param {object} [rule.values] - A rule for the property values of objects
+ * @param {function} [rule.check] - A last check, returning a problem or null
+ * @return {string|null} The problem, or null if the value is valid
+ */
+function checkValue(value, rule) {
+    if (rule.enum) {
+        return rule.enum.includes(value) ? null : `expected one of ${rule.enum.map(value => JSON.stringify(value)).join(', ')}`;
+    }
+    var ruleTypes = [].concat(rule.type || []);
+    var type = ruleTypes.find(type => types[type].test(value));
+    if (ruleTypes.length && !type) {
+        return `expected ${ruleTypes.map(type => types[type].description).join(' or ')}`;
+    }
+    if (typeof value === 'number') {
+        if (!isFinite(value) && !(rule.allowInfinity && value === Infinity)) return 'expected a finite number';
+        if (rule.min !== undefined && value < rule.min) return `expected at least ${rule.min}`;
+    }
+    if (rule.nonEmpty && value.length === 0) return 'expected a non-empty value';
+    if (rule.items && Array.isArray(value)) {
+        for (var i = 0; i < value.length; i++) {
+            var itemProblem = checkValue(value[i], rule.items);
+            if (itemProblem) return `item ${i}: ${itemProblem}`;
+        }
+    }
+    if (rule.values && isObject(value)) {
+        var keys = Object.keys(value);
+        for (var j = 0; j < keys.length; j++) {
+            var valueProblem = checkValue(value[keys[j]], rule.values);
+            if (valueProblem) return `${keys[j]}: ${valueProblem}`;
+        }
+    }
+    return rule.check ? rule.check(value) : null;
+}
+
+/**
+ * Report the properties of an object that are not in a list
+ * @param {object} object
+ * @param {Array<string>} keys - The known properties
+ * @param {string} where - The path of the object in the messages
+ * @param {Array<string>} problems
+ * @param {boolean} [onlyMisspelled=false] - Only report the properties that look like a misspelling of a known one
+ */
+function checkKnownKeys(object, keys, where, problems, onlyMisspelled) {
+    Object.keys(object).filter(key => !keys.includes(key)).forEach(key => {
+        var similar = findSimilar(key, keys);
+        if (onlyMisspelled && !similar) return;
+        problems.push(`${where ? `${where}.${key}` : key}: unknown property${similar ? `, did you mean ${similar}?` : ''}`);
+    });
+}
+
+function findSimilar(key, keys) {
+    var lowerCase = key.toLowerCase();
+    var sameLetters = keys.find(known => known.toLowerCase() === lowerCase);
+    if (sameLetters) return sameLetters;
+    // Allow one typo in short names and two in longer ones
+    var maxDistance = key.length < 6 ? 1 : 2;
+    return keys.find(known => editDistance(lowerCase, known.toLowerCase()) <= maxDistance);
+}
+
+function editDistance(a, b) {
+    var previous = [];
+    for (var j = 0; j <= b.length; j++) previous.push(j);
+    for (var i = 1; i <= a.length; i++) {
+        var current = [i];
+        for (j = 1; j <= b.length; j++) {
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Describe a value in a message
+ * @param {*} value
+ * @return {string}
+ */
+function describe(value) {
+    if (typeof value === 'function') return 'a function';
+    if (value instanceof RegExp) return String(value);
+    if (value instanceof Uint8Array) return `a Buffer of ${value.length} bytes`;
+    if (value === undefined) return 'undefined';
+    try {
+        return JSON.stringify(value);
+    } catch (err) {
+        return String(value);
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+exports.validateSchema = validateSchema;
+exports.checkValue = checkValue;
+exports.checkKnownKeys = checkKnownKeys;
+exports.describe = describe;
+exports.isObject = isObject;
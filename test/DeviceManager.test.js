@@ -0,0 +1,142 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mock = require('./util/mock');
+const MemoryDeviceStore = require('../src/stores/MemoryDeviceStore');
+const JsonFileDeviceStore = require('../src/stores/JsonFileDeviceStore');
+
+describe('DeviceManager', () => {
+    afterEach(mock.cleanup);
+
+    it('reports the errors of its ports and keeps trying to open them', () => {
+        var setup = mock.createDeviceManager();
+        var dm = setup.deviceManager;
+        setup.transport.addDevice('mock0', new mock.MockDevice({id: 'dev1', idCommand: 'id\n'}));
+        // Another connection holds the port
+        var connection = setup.transport.open('mock0');
+        return mock.once(connection, 'open').then(() => {
+            var portError = mock.once(dm, 'portError');
+            dm.refresh();
+            return portError;
+        }).then(event => {
+            event.comName.should.equal('mock0');
+            event.error.message.should.equal('Port mock0 is already open');
+            connection.close();
+            return mock.once(dm, 'new');
+        }).then(event => {
+            event.should.eql({id: 'dev1'});
+        });
+    });
+
+    it('ignores the disconnection of a device that was not identified', () => {
+        var deviceStore = new MemoryDeviceStore();
+        var setup = mock.createDeviceManager({deviceStore});
+        var dm = setup.deviceManager;
+        // The device does not answer the id command
+        var device = setup.transport.addDevice('mock0', new mock.MockDevice({id: 'dev1'}));
+        var disconnections = [];
+        dm.on('disconnect', event => disconnections.push(event));
+        dm.refresh();
+        return mock.once(dm, 'statusChanged', event => event.code === 1).then(() => {
+            var disconnected = mock.once(dm, 'statusChanged', event => event.code === 3);
+            device.unplug();
+            return disconnected;
+        }).then(() => mock.delay(10)).then(() => {
+            disconnections.should.eql([]);
+            deviceStore.records.should.eql({});
+        });
+    });
+
+    describe('device history', () => {
+        function addDevice(setup, comName, id) {
+            return setup.transport.addDevice(comName, new mock.MockDevice({id, idCommand: 'id\n'}));
+        }
+
+        it('is kept per instance', () => {
+            var first = mock.createDeviceManager();
+            var second = mock.createDeviceManager();
+            addDevice(first, 'mock0', 'dev1');
+            addDevice(second, 'mock0', 'dev1');
+            var events = [mock.once(first.deviceManager, 'new'), mock.once(second.deviceManager, 'new')];
+            first.deviceManager.refresh();
+            return events[0].then(() => {
+                second.deviceManager.refresh();
+                return events[1];
+            }).then(event => {
+                event.should.eql({id: 'dev1'});
+            });
+        });
+
+        it('records the connections of each device', () => {
+            var setup = mock.createDeviceManager();
+            var dm = setup.deviceManager;
+            var device = addDevice(setup, 'mock0', 'dev1');
+            var startedAt = Date.now();
+            dm.refresh();
+            return mock.once(dm, 'new').then(() => {
+                var disconnected = mock.once(dm, 'disconnect');
+                device.unplug();
+                return disconnected;
+            }).then(() => {
+                device.plug();
+                return mock.once(dm, 'connect');
+            }).then(() => dm.getDeviceHistory('dev1')).then(record => {
+                record.should.containEql({lastPort: 'mock0', connectionCount: 2});
+                record.firstSeen.should.be.aboveOrEqual(startedAt);
+                record.lastSeen.should.be.aboveOrEqual(record.firstSeen);
+                return dm.getDeviceHistory('dev2').should.be.fulfilledWith(undefined);
+            });
+        });
+
+        it('counts every identification of a device identified twice at once', () => {
+            // A store answering asynchronously, like a database would
+            var records = {};
+            var deviceStore = {
+                get: id => mock.delay(10).then(() => records[id]),
+                set: (id, record) => mock.delay(10).then(() => {
+                    records[id] = record;
+                })
+            };
+            var setup = mock.createDeviceManager({deviceStore});
+            var dm = setup.deviceManager;
+            addDevice(setup, 'mock0', 'dev1');
+            addDevice(setup, 'mock1', 'dev1');
+            var events = [];
+            dm.on('new', event => events.push(['new', event.id]));
+            dm.on('connect', event => events.push(['connect', event.id]));
+            dm.refresh();
+            return mock.once(dm, 'connect').then(() => mock.delay(30)).then(() => {
+                events.should.eql([['new', 'dev1'], ['connect', 'dev1']]);
+                records.dev1.connectionCount.should.equal(2);
+            });
+        });
+
+        it('survives restarts with a JsonFileDeviceStore', () => {
+            var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'serial-requests-'));
+            var file = path.join(directory, 'devices.json');
+            var stores = [new JsonFileDeviceStore(file)];
+            var first = mock.createDeviceManager({deviceStore: stores[0]});
+            addDevice(first, 'mock0', 'dev1');
+            first.deviceManager.refresh();
+            return mock.once(first.deviceManager, 'new').then(() => first.deviceManager.close()).then(() => stores[0].saving).then(() => {
+                // The history is read when the store is created
+                stores[1] = new JsonFileDeviceStore(file);
+                var second = mock.createDeviceManager({deviceStore: stores[1]});
+                addDevice(second, 'mock1', 'dev1');
+                second.deviceManager.refresh();
+                return mock.once(second.deviceManager, 'connect').then(event => {
+                    event.should.eql({id: 'dev1'});
+                    return second.deviceManager.getDeviceHistory('dev1');
+                });
+            }).then(record => {
+                record.should.containEql({lastPort: 'mock1', connectionCount: 2});
+                return mock.cleanup();
+            }).then(() => stores[1].saving).then(() => {
+                fs.readdirSync(directory).forEach(name => fs.unlinkSync(path.join(directory, name)));
+                fs.rmdirSync(directory);
+            });
+        });
+    });
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+const http = require('http');
+const mock = require('./util/mock');
+const HttpGateway = require('../src/HttpGateway');
+
+describe('HttpGateway', () => {
+    var gateway = null;
+
+    afterEach(() => {
+        var closed = gateway ? gateway.close() : Promise.resolve();
+        gateway = null;
+        return closed.then(mock.cleanup);
+    });
+
+    function setup(options) {
+        // The port of dev2 is in binary mode
+        var setup = mock.createDeviceManager({
+            timeout: 100,
+            optionCreator: port => ({
+                getIdCommand: 'id\n',
+                getIdResponseParser: buffer => String(buffer).trim(),
+                serialResponseTimeout: 30,
+                binary: port.comName === 'mock1'
+            })
+        });
+        setup.textDevice = setup.transport.addDevice('mock0', new mock.MockDevice({id: 'dev1', idCommand: 'id\n'}))
+            .addRule('ping\n', 'pong\n')
+            .addRule('\x01\x02', Buffer.from([0xC0, 0xFF]));
+        setup.transport.addDevice('mock1', new mock.MockDevice({id: 'dev2', idCommand: 'id\n'}))
+            .addRule('\x01\x02', Buffer.from([0xC0, 0xFF]));
+        gateway = new HttpGateway(setup.deviceManager, options);
+        return gateway.listen(0, '127.0.0.1').then(address => {
+            setup.port = address.port;
+            return setup;
+        });
+    }
+
+    function request(port, method, path, body) {
+        return new Promise((resolve, reject) => {
+            var req = http.request({host: '127.0.0.1', port, method, path}, res => {
+                var chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => {
+                    resolve({status: res.statusCode, headers: res.headers, body: JSON.parse(Buffer.concat(chunks).toString())});
+                });
+            });
+            req.on('error', reject);
+            req.end(typeof body === 'string' ? body : JSON.stringify(body));
+        });
+    }
+
+    it('refreshes and lists the devices', () => {
+        return setup().then(setup => {
+            var identified = Promise.all(['dev1', 'dev2'].map(id => mock.once(setup.deviceManager, 'new', event => event.id === id)));
+            return request(setup.port, 'POST', '/refresh').then(res => {
+                res.status.should.equal(200);
+                return identified;
+            }).then(() => request(setup.port, 'GET', '/devices')).then(res => {
+                res.body.devices.should.have.length(2);
+                res.body.devices.find(device => device.id === 'dev1').should.containEql({comName: 'mock0', ready: true, binary: false});
+                return request(setup.port, 'GET', '/devices/dev1');
+            }).then(res => {
+                res.body.should.containEql({id: 'dev1'});
+            });
+        });
+    });
+
+    it('sends commands to devices', () => {
+        return setup().then(setup => {
+            return request(setup.port, 'POST', '/devices/dev1/requests', {command: 'ping\n'}).then(res => {
+                res.status.should.equal(200);
+                res.body.should.eql({id: 'dev1', response: 'pong\n', encoding: 'utf8'});
+                return request(setup.port, 'POST', '/devices/dev2/requests', {command: '0102', encoding: 'hex'});
+            }).then(res => {
+                res.body.should.eql({id: 'dev2', response: 'c0ff', encoding: 'hex'});
+                return request(setup.port, 'POST', '/devices/dev2/requests', {command: 'AQI=', encoding: 'base64'});
+            }).then(res => {
+                res.body.should.eql({id: 'dev2', response: 'wP8=', encoding: 'base64'});
+            });
+        });
+    });
+
+    it('rejects binary encodings for ports that are not in binary mode', () => {
+        return setup().then(setup => {
+            // The device is not connected yet: the response shows that the port is in text mode
+            return request(setup.port, 'POST', '/devices/dev1/requests', {command: '0102', encoding: 'hex'}).then(res => {
+                res.status.should.equal(400);
+                res.body.error.code.should.equal('INVALID_REQUEST');
+                setup.deviceManager.getDeviceStatus('dev1').binary.should.be.false();
+                return request(setup.port, 'POST', '/devices/dev1/requests', {command: 'AQI=', encoding: 'base64'});
+            }).then(res => {
+                res.status.should.equal(400);
+                res.body.error.message.should.equal('The base64 encoding needs a port in binary mode, the responses of this port are decoded as UTF-8');
+                // Only the first request was sent
+                setup.textDevice.received.filter(data => data[0] === 0x01).should.have.length(1);
+            });
+        });
+    });
+
+    it('answers errors with their code and an HTTP status', () => {
+        return setup().then(setup => {
+            return Promise.all([
+                request(setup.port, 'GET', '/devices/missing'),
+                request(setup.port, 'POST', '/devices/missing/requests', {command: 'ping\n'}),
+                request(setup.port, 'POST', '/devices/dev1/requests', {command: 'ping\n', encoding: 'latin1'}),
+                request(setup.port, 'POST', '/devices/dev1/requests', '{command'),
+                request(setup.port, 'DELETE', '/devices')
+            ]);
+        }).then(responses => {
+            responses.map(res => [res.status, res.body.error.code]).should.eql([
+                [404, 'DEVICE_NOT_CONNECTED'],
+                [404, 'DEVICE_LOOKUP_TIMEOUT'],
+                [400, 'INVALID_REQUEST'],
+                [400, 'INVALID_JSON'],
+                [404, 'NOT_FOUND']
+            ]);
+        });
+    });
+
+    it('serves the routes under the base path with CORS headers', () => {
+        return setup({basePath: '/api/', cors: 'http://localhost'}).then(setup => {
+            return Promise.all([
+                request(setup.port, 'GET', '/api/devices'),
+                request(setup.port, 'GET', '/devices')
+            ]);
+        }).then(responses => {
+            responses[0].status.should.equal(200);
+            responses[0].headers['access-control-allow-origin'].should.equal('http://localhost');
+            responses[1].status.should.equal(404);
+        });
+    });
+});
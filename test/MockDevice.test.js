@@ -0,0 +1,66 @@
+'use strict';
+
+const mock = require('./util/mock');
+
+describe('MockDevice', () => {
+    afterEach(mock.cleanup);
+
+    it('answers according to string, pattern and function rules', () => {
+        return mock.createReadyPort({terminator: '\n'}).then(port => {
+            port.device
+                .addRule('ping\n', 'pong\n')
+                .addRule(/^echo (.*)\n$/, (cmd, match) => `${match[1]}\n`)
+                .addRule(cmd => cmd.startsWith('count'), (cmd, match, device) => `${device.received.length}\n`);
+            var pm = port.portManager;
+            return Promise.all([
+                pm.addRequest('ping\n').should.be.fulfilledWith('pong\n'),
+                pm.addRequest('echo hello\n').should.be.fulfilledWith('hello\n'),
+                pm.addRequest('count\n').should.be.fulfilledWith('4\n')
+            ]);
+        });
+    });
+
+    it('does not answer unknown commands', () => {
+        return mock.createReadyPort().then(port => {
+            var commands = [];
+            port.device.on('command', event => commands.push(event));
+            return port.portManager.addRequest('unknown\n').should.be.fulfilledWith('').then(() => {
+                commands.should.match([{matched: false}]);
+            });
+        });
+    });
+
+    it('fails the next write on demand', () => {
+        return mock.createReadyPort({retryOn: []}).then(port => {
+            port.device.failNextWrite();
+            return port.portManager.addRequest('ping\n').should.be.rejectedWith({code: 'WRITE_ERROR'});
+        });
+    });
+
+    it('is found by a DeviceManager and identified', () => {
+        var setup = mock.createDeviceManager();
+        setup.transport.addDevice('mock0', new mock.MockDevice({id: 'dev1', idCommand: 'id\n'}))
+            .addRule('ping\n', 'pong\n');
+        return setup.deviceManager.addRequest('dev1', 'ping\n').should.be.fulfilledWith('pong\n').then(() => {
+            setup.deviceManager.getDeviceIds().should.eql(['dev1']);
+        });
+    });
+
+    it('disconnects and is identified again when plugged back in', () => {
+        var setup = mock.createDeviceManager();
+        var device = setup.transport.addDevice('mock0', new mock.MockDevice({id: 'dev1', idCommand: 'id\n'}));
+        var dm = setup.deviceManager;
+        return dm.refresh().then(() => mock.once(dm, 'new')).then(() => {
+            var disconnected = mock.once(dm, 'disconnect');
+            device.unplug();
+            return disconnected;
+        }).then(event => {
+            event.should.eql({id: 'dev1'});
+            dm.getDeviceIds().should.eql([]);
+            device.plug();
+            return mock.once(dm, 'connect');
+        }).then(event => {
+            event.should.eql({id: 'dev1'});
+        });
+    });
+});
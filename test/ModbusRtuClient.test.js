@@ -0,0 +1,117 @@
+'use strict';
+
+const mock = require('./util/mock');
+const ModbusRtuClient = require('../src/ModbusRtuClient');
+const checksums = require('../src/checksums');
+
+describe('ModbusRtuClient', () => {
+    afterEach(mock.cleanup);
+
+    function frame(bytes) {
+        var buffer = Buffer.alloc(bytes.length + 2);
+        Buffer.from(bytes).copy(buffer);
+        buffer.writeUInt16LE(checksums.crc16Modbus(buffer.slice(0, -2)), bytes.length);
+        return buffer;
+    }
+
+    // Unit 1 answers the functions 3, 6 and 16 on 8 holding registers, and other functions with an exception
+    function answer(data, registers) {
+        var functionCode = data[1];
+        var address = data.readUInt16BE(2);
+        if (functionCode === 3) {
+            var quantity = data.readUInt16BE(4);
+            var values = [];
+            registers.slice(address, address + quantity).forEach(value => values.push(value >> 8, value & 0xFF));
+            return frame([1, 3, 2 * quantity].concat(values));
+        } else if (functionCode === 6) {
+            registers[address] = data.readUInt16BE(4);
+            return frame(Array.from(data.slice(0, 6)));
+        } else if (functionCode === 16) {
+            for (var i = 0; i < data.readUInt16BE(4); i++) {
+                registers[address + i] = data.readUInt16BE(7 + 2 * i);
+            }
+            return frame(Array.from(data.slice(0, 6)));
+        }
+        return frame([1, functionCode | 0x80, 1]);
+    }
+
+    function setup(deviceOptions) {
+        var registers = [0x0102, 0x0304, 0x0506, 0, 0, 0, 0, 0];
+        var options = ModbusRtuClient.createPortOptions({baudRate: 115200, responseTimeout: 200});
+        var port = mock.createPort(options, Object.assign({idCommand: null}, deviceOptions));
+        // The match is the raw request
+        port.device.addRule((cmd, data) => data[0] === 1 && data, (cmd, data) => answer(data, registers));
+        port.client = new ModbusRtuClient(port.portManager);
+        port.registers = registers;
+        return mock.once(port.portManager, 'ready').then(() => port);
+    }
+
+    it('identifies the device with its registers', () => {
+        return setup().then(port => {
+            port.portManager.deviceId.should.equal('258');
+        });
+    });
+
+    it('reads holding registers', () => {
+        return setup().then(port => {
+            return port.client.readHoldingRegisters(1, 1, 2).should.be.fulfilledWith([0x0304, 0x0506]);
+        });
+    });
+
+    it('reads responses received in several chunks', () => {
+        return setup({chunkSize: 2, chunkDelay: 1}).then(port => {
+            return port.client.readHoldingRegisters(1, 0, 3).should.be.fulfilledWith([0x0102, 0x0304, 0x0506]);
+        });
+    });
+
+    it('writes registers', () => {
+        return setup().then(port => {
+            return port.client.writeSingleRegister(1, 3, 0xABCD).then(() => {
+                return port.client.writeMultipleRegisters(1, 4, [1, 2]);
+            }).then(() => {
+                port.registers.slice(3, 6).should.eql([0xABCD, 1, 2]);
+                return port.client.readHoldingRegisters(1, 3, 3).should.be.fulfilledWith([0xABCD, 1, 2]);
+            });
+        });
+    });
+
+    it('rejects exception responses with a ModbusExceptionError', () => {
+        return setup().then(port => {
+            return port.client.readCoils(1, 0, 8).should.be.rejectedWith({
+                code: 'MODBUS_EXCEPTION',
+                exceptionCode: 1,
+                exceptionName: 'ILLEGAL_FUNCTION'
+            });
+        });
+    });
+
+    it('rejects with a ModbusResponseError when the unit does not answer', () => {
+        return setup().then(port => {
+            return port.client.readHoldingRegisters(2, 0, 1).should.be.rejectedWith({
+                code: 'MODBUS_INVALID_RESPONSE',
+                message: 'No response from unit 2'
+            });
+        });
+    });
+
+    it('does not wait for an answer to broadcasts', () => {
+        return setup().then(port => {
+            var startedAt = Date.now();
+            return port.client.writeSingleRegister(0, 0, 1).should.be.fulfilledWith(undefined).then(() => {
+                (Date.now() - startedAt).should.be.below(200);
+                port.device.received[port.device.received.length - 1].should.eql(frame([0, 6, 0, 0, 0, 1]));
+            });
+        });
+    });
+
+    it('rejects invalid requests without sending them', () => {
+        return setup().then(port => {
+            return Promise.all([
+                port.client.readHoldingRegisters(1, 0, 126).should.be.rejectedWith({code: 'INVALID_REQUEST'}),
+                port.client.readHoldingRegisters(0, 0, 1).should.be.rejectedWith({code: 'INVALID_REQUEST'})
+            ]).then(() => {
+                port.device.received.should.have.length(1);
+            });
+        });
+    });
+});
@@ -0,0 +1,140 @@
+'use strict';
+
+const mock = require('./util/mock');
+const PollScheduler = require('../src/PollScheduler');
+
+describe('PollScheduler', () => {
+    var scheduler = null;
+
+    afterEach(() => {
+        if (scheduler) scheduler.close();
+        scheduler = null;
+        return mock.cleanup();
+    });
+
+    function setup() {
+        var setup = mock.createDeviceManager();
+        setup.device = setup.transport.addDevice('mock0', new mock.MockDevice({id: 'dev1', idCommand: 'id\n'}))
+            .addRule('temp\n', '21.5\n')
+            .addRule('slow\n', 'done\n', {delay: 80})
+            .addRule('bad\n', '?\n');
+        scheduler = new PollScheduler(setup.deviceManager);
+        return setup;
+    }
+
+    function collect(emitter, event) {
+        var events = [];
+        emitter.on(event, data => events.push(data));
+        return events;
+    }
+
+    it('polls connected devices and emits the parsed samples', () => {
+        var s = setup();
+        scheduler.add({name: 'temperature', id: 'dev1', command: 'temp\n', interval: 20, parse: Number});
+        scheduler.getPolls()[0].active.should.be.false();
+        var sample = mock.once(scheduler, 'sample');
+        s.deviceManager.refresh();
+        return sample.then(event => {
+            event.should.containEql({name: 'temperature', id: 'dev1', value: 21.5, response: '21.5\n'});
+            event.duration.should.be.aboveOrEqual(0);
+            return mock.once(scheduler, 'sample');
+        }).then(() => {
+            var poll = scheduler.getPolls()[0];
+            poll.should.containEql({name: 'temperature', id: 'dev1', command: 'temp\n', interval: 20, active: true});
+            poll.lastSample.value.should.equal(21.5);
+        });
+    });
+
+    it('skips the ticks while the previous request is not finished, and sends low priority requests', () => {
+        var s = setup();
+        s.deviceManager.refresh();
+        return mock.once(s.deviceManager, 'new').then(() => {
+            var samples = collect(scheduler, 'sample');
+            scheduler.add({name: 'slow', id: 'dev1', command: 'slow\n', interval: 20, options: {timeout: 200}});
+            return mock.delay(10).then(() => {
+                s.deviceManager.getRequests('dev1')[0].should.containEql({priority: 'low', tag: 'poll:slow'});
+                return mock.delay(150);
+            }).then(() => {
+                var poll = scheduler.getPolls()[0];
+                poll.skipped.should.be.above(2);
+                s.device.received.filter(data => String(data) === 'slow\n').length.should.be.belowOrEqual(samples.length + 1);
+            });
+        });
+    });
+
+    it('pauses the polls of a disconnected device and resumes them when it reconnects', () => {
+        var s = setup();
+        var samples = collect(scheduler, 'sample');
+        scheduler.add({name: 'temperature', id: 'dev1', command: 'temp\n', interval: 20, priority: 'high'});
+        s.deviceManager.refresh();
+        return mock.once(scheduler, 'sample').then(() => {
+            var disconnected = mock.once(s.deviceManager, 'disconnect');
+            s.device.unplug();
+            return disconnected;
+        }).then(() => {
+            scheduler.getPolls()[0].active.should.be.false();
+            var count = samples.length;
+            return mock.delay(60).then(() => {
+                samples.length.should.equal(count);
+                s.device.plug();
+                return mock.once(scheduler, 'sample');
+            });
+        }).then(() => {
+            scheduler.getPolls()[0].active.should.be.true();
+        });
+    });
+
+    it('emits pollError when a request fails or a response cannot be parsed', () => {
+        var s = setup();
+        var parse = response => {
+            if (response === '?\n') throw new Error('unexpected response');
+            return response;
+        };
+        scheduler.add({name: 'bad', id: 'dev1', command: 'bad\n', interval: 50, parse});
+        scheduler.add({name: 'missing', id: 'dev2', command: 'temp\n', interval: 50});
+        var parseError = mock.once(scheduler, 'pollError', event => event.name === 'bad');
+        s.deviceManager.refresh();
+        return parseError.then(event => {
+            event.should.containEql({id: 'dev1'});
+            event.error.message.should.equal('unexpected response');
+            // The poll of a device that is not connected does not start
+            scheduler.getPolls()[1].active.should.be.false();
+            var requestError = mock.once(scheduler, 'pollError', event => event.name === 'urgent');
+            scheduler.add({name: 'urgent', id: 'dev1', command: 'temp\n', interval: 50, priority: 'urgent'});
+            return requestError;
+        }).then(event => {
+            event.error.should.match({code: 'INVALID_REQUEST', message: 'Unknown request priority: urgent'});
+        });
+    });
+
+    it('validates the polls', () => {
+        setup();
+        (() => scheduler.add()).should.throw({code: 'INVALID_CONFIG', problems: ['poll: required']});
+        (() => scheduler.add({name: 'temperature', id: 'dev1', command: '', interval: 0})).should.throw({code: 'INVALID_CONFIG'});
+        scheduler.add({name: 'temperature', id: 'dev1', command: 'temp\n', interval: 20});
+        (() => scheduler.add({name: 'temperature', id: 'dev1', command: 'temp\n', interval: 20})).should.throw({
+            code: 'INVALID_CONFIG',
+            problems: ['poll.name: a poll named "temperature" already exists']
+        });
+    });
+
+    it('stops the removed polls, and all the polls when it is closed', () => {
+        var s = setup();
+        var samples = collect(scheduler, 'sample');
+        scheduler.add({name: 'temperature', id: 'dev1', command: 'temp\n', interval: 20});
+        scheduler.add({name: 'other', id: 'dev1', command: 'temp\n', interval: 20});
+        s.deviceManager.refresh();
+        return mock.once(scheduler, 'sample').then(() => {
+            scheduler.remove('temperature').should.be.true();
+            scheduler.remove('temperature').should.be.false();
+            scheduler.getPolls().map(poll => poll.name).should.eql(['other']);
+            scheduler.close();
+            scheduler.getPolls().should.eql([]);
+            s.deviceManager.listenerCount('connect').should.equal(0);
+            var count = samples.length;
+            return mock.delay(60).then(() => {
+                samples.length.should.equal(count);
+            });
+        });
+    });
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const mock = require('./util/mock');
+const ScpiClient = require('../src/ScpiClient');
+
+describe('ScpiClient', () => {
+    afterEach(mock.cleanup);
+
+    // A power supply keeping the errors of the commands it does not understand in its error queue
+    function setup(clientOptions) {
+        var options = ScpiClient.createPortOptions({serialResponseTimeout: 50});
+        var port = mock.createPort(options, {
+            id: 'ACME,PSU1,SN42,1.0',
+            idCommand: '*IDN?\n',
+            formatId: id => `${id}\r\n`
+        });
+        var instrument = {voltage: 0, errors: []};
+        port.device.addRule('MEAS:VOLT?\n', () => `${instrument.voltage}\r\n`);
+        port.device.addRule(/^VOLT (.*)\n$/, (cmd, match) => {
+            var voltage = Number(match[1]);
+            if (isNaN(voltage)) {
+                instrument.errors.push('-222,"Data out of range"');
+            } else {
+                instrument.voltage = voltage;
+            }
+        });
+        port.device.addRule('SYST:ERR?\n', () => `${instrument.errors.shift() || '+0,"No error"'}\n`);
+        port.device.addRule(() => true, () => {
+            instrument.errors.push('-113,"Undefined header"');
+        });
+        port.client = new ScpiClient(port.portManager, clientOptions);
+        port.instrument = instrument;
+        return mock.once(port.portManager, 'ready').then(() => port);
+    }
+
+    it('identifies the instrument with *IDN?', () => {
+        return setup().then(port => {
+            port.portManager.deviceId.should.equal('ACME,PSU1,SN42');
+            return port.client.identify().should.be.fulfilledWith({
+                manufacturer: 'ACME',
+                model: 'PSU1',
+                serial: 'SN42',
+                firmware: '1.0'
+            });
+        });
+    });
+
+    it('writes commands and queries values', () => {
+        return setup().then(port => {
+            return port.client.write('VOLT 5').then(() => port.client.query('MEAS:VOLT?')).then(response => {
+                response.should.equal('5');
+                port.device.received.map(String).should.eql(['*IDN?\n', 'VOLT 5\n', 'MEAS:VOLT?\n']);
+            });
+        });
+    });
+
+    it('reads the error queue until it is empty', () => {
+        return setup().then(port => {
+            port.instrument.errors.push('-113,"Undefined header"', '-222,"Data out of range"');
+            return port.client.readErrors().should.be.fulfilledWith([
+                {code: -113, message: 'Undefined header'},
+                {code: -222, message: 'Data out of range'}
+            ]);
+        });
+    });
+
+    it('rejects commands that fill the error queue with the checkErrors option', () => {
+        return setup({checkErrors: true}).then(port => {
+            return port.client.write('VOLT high').should.be.rejectedWith({
+                code: 'SCPI_ERROR',
+                instrumentCode: -222,
+                instrumentMessage: 'Data out of range'
+            }).then(() => {
+                return port.client.write('VOLT 3');
+            }).then(() => {
+                port.instrument.voltage.should.equal(3);
+                return port.client.query('BAD?', {checkErrors: false}).should.be.fulfilledWith('');
+            });
+        });
+    });
+});
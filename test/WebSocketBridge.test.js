@@ -0,0 +1,123 @@
+'use strict';
+
+const WebSocket = require('ws');
+const mock = require('./util/mock');
+const HttpGateway = require('../src/HttpGateway');
+const WebSocketBridge = require('../src/WebSocketBridge');
+
+describe('WebSocketBridge', () => {
+    var closables = [];
+
+    afterEach(() => {
+        return Promise.all(closables.splice(0).map(closable => closable.close())).then(mock.cleanup);
+    });
+
+    function setup(options) {
+        var setup = mock.createDeviceManager({timeout: 100});
+        setup.device = setup.transport.addDevice('mock0', new mock.MockDevice({id: 'dev1', idCommand: 'id\n'}))
+            .addRule('ping\n', 'pong\n');
+        setup.bridge = new WebSocketBridge(setup.deviceManager, options);
+        closables.push(setup.bridge);
+        return setup.bridge.listen(0, '127.0.0.1').then(address => {
+            setup.url = `ws://127.0.0.1:${address.port}`;
+            return setup;
+        });
+    }
+
+    // Connect a client keeping the messages it receives, once it received the devices message
+    function connect(url) {
+        var client = new WebSocket(url);
+        client.messages = [];
+        client.on('message', message => client.messages.push(JSON.parse(message)));
+        return nextMessage(client, 'devices').then(() => client);
+    }
+
+    function nextMessage(client, type) {
+        return mock.once(client, 'message', message => JSON.parse(message).type === type).then(message => JSON.parse(message));
+    }
+
+    it('sends the devices and streams the events of the DeviceManager', () => {
+        return setup().then(setup => {
+            return connect(setup.url).then(client => {
+                var added = nextMessage(client, 'new');
+                setup.deviceManager.refresh();
+                return added.then(message => {
+                    client.messages[0].should.eql({type: 'devices', devices: []});
+                    message.should.eql({type: 'new', id: 'dev1'});
+                    client.close();
+                });
+            });
+        });
+    });
+
+    it('relays requests and replies with the response or the error', () => {
+        return setup().then(setup => {
+            return connect(setup.url).then(client => {
+                var response = nextMessage(client, 'response');
+                client.send(JSON.stringify({type: 'request', requestId: 1, deviceId: 'dev1', command: 'ping\n'}));
+                return response.then(message => {
+                    message.should.eql({type: 'response', requestId: 1, id: 'dev1', response: 'pong\n', encoding: 'utf8'});
+                    var error = nextMessage(client, 'error');
+                    client.send(JSON.stringify({type: 'request', requestId: 2, deviceId: 'missing', command: 'ping\n'}));
+                    return error;
+                }).then(message => {
+                    message.requestId.should.equal(2);
+                    message.error.code.should.equal('DEVICE_LOOKUP_TIMEOUT');
+                    var invalid = nextMessage(client, 'error');
+                    client.send('{type');
+                    return invalid;
+                }).then(message => {
+                    message.error.code.should.equal('INVALID_JSON');
+                    client.close();
+                });
+            });
+        });
+    });
+
+    it('closes the connections sending messages larger than maxMessageSize', () => {
+        return setup({maxMessageSize: 64}).then(setup => {
+            return connect(setup.url).then(client => {
+                var closed = mock.once(client, 'close');
+                client.send(JSON.stringify({type: 'request', command: 'x'.repeat(100)}));
+                return closed;
+            }).then(code => {
+                code.should.equal(1009);
+            });
+        });
+    });
+
+    it('closes the connections when it is closed', () => {
+        return setup().then(setup => {
+            return connect(setup.url).then(client => {
+                var closed = mock.once(client, 'close');
+                setup.bridge.close();
+                return closed;
+            }).then(code => {
+                code.should.equal(1001);
+            });
+        });
+    });
+
+    it('answers the upgrade requests on other paths with a 404', () => {
+        return setup().then(setup => {
+            var client = new WebSocket(`${setup.url}/other`);
+            return mock.once(client, 'error');
+        }).then(err => {
+            err.message.should.equal('Unexpected server response: 404');
+        });
+    });
+
+    it('shares the server of an HttpGateway', () => {
+        var setup = mock.createDeviceManager();
+        var gateway = new HttpGateway(setup.deviceManager);
+        var bridge = new WebSocketBridge(setup.deviceManager, {path: '/events'});
+        closables.push(bridge, gateway);
+        return gateway.listen(0, '127.0.0.1').then(address => {
+            bridge.attach(gateway.server);
+            return connect(`ws://127.0.0.1:${address.port}/events`);
+        }).then(client => {
+            client.messages.should.eql([{type: 'devices', devices: []}]);
+            client.close();
+        });
+    });
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const mock = require('./util/mock');
+
+describe('request cancellation', () => {
+    afterEach(mock.cleanup);
+
+    function setup() {
+        return mock.createReadyPort({terminator: '\n'}).then(port => {
+            port.device.addRule(/^slow/, 'slow\n', {delay: 80});
+            port.device.addRule(/^fast/, 'fast\n');
+            return port;
+        });
+    }
+
+    it('rejects right away with an already aborted signal', () => {
+        return setup().then(port => {
+            var controller = new AbortController();
+            controller.abort();
+            return port.portManager.addRequest('fast\n', {signal: controller.signal}).should.be.rejectedWith({code: 'ABORTED'}).then(() => {
+                port.device.received.map(String).should.not.containEql('fast\n');
+            });
+        });
+    });
+
+    it('drops a queued request without sending it', () => {
+        return setup().then(port => {
+            var controller = new AbortController();
+            var slow = port.portManager.addRequest('slow\n', {timeout: 500});
+            var dropped = port.portManager.addRequest('fast 1\n', {signal: controller.signal});
+            var next = port.portManager.addRequest('fast 2\n');
+            controller.abort();
+            return Promise.all([
+                slow.should.be.fulfilledWith('slow\n'),
+                dropped.should.be.rejectedWith({name: 'AbortError'}),
+                next.should.be.fulfilledWith('fast\n')
+            ]).then(() => {
+                port.device.received.map(String).should.eql(['id\n', 'slow\n', 'fast 2\n']);
+            });
+        });
+    });
+
+    it('keeps the response of an aborted in-flight request out of the next request', () => {
+        return setup().then(port => {
+            var controller = new AbortController();
+            var aborted = port.portManager.addRequest('slow\n', {signal: controller.signal, timeout: 500});
+            var next = port.portManager.addRequest('fast\n');
+            setTimeout(() => controller.abort(), 10);
+            return Promise.all([
+                aborted.should.be.rejectedWith({code: 'ABORTED'}),
+                next.should.be.fulfilledWith('fast\n')
+            ]);
+        });
+    });
+
+    it('rejects a device lookup of the DeviceManager', () => {
+        var dm = mock.createDeviceManager().deviceManager;
+        var controller = new AbortController();
+        var request = dm.addRequest('unknown', 'fast\n', {signal: controller.signal});
+        setTimeout(() => controller.abort(), 10);
+        return request.should.be.rejectedWith({code: 'ABORTED'});
+    });
+});
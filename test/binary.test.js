@@ -0,0 +1,59 @@
+'use strict';
+
+const mock = require('./util/mock');
+
+describe('binary mode', () => {
+    afterEach(mock.cleanup);
+
+    it('sends Buffers and resolves with Buffers', () => {
+        var parsed;
+        return mock.createReadyPort({
+            binary: true,
+            getIdResponseParser: buffer => {
+                parsed = buffer;
+                return buffer.toString().trim();
+            }
+        }).then(port => {
+            Buffer.isBuffer(parsed).should.be.true();
+            port.device.addRule((cmd, data) => data[0] === 0x01, Buffer.from([0x81, 0xFF, 0x00, 0x10]));
+            return port.portManager.addRequest(Buffer.from([0x01, 0x02]), {responseLength: 4}).then(response => {
+                Buffer.isBuffer(response).should.be.true();
+                response.should.eql(Buffer.from([0x81, 0xFF, 0x00, 0x10]));
+                port.device.received[1].should.eql(Buffer.from([0x01, 0x02]));
+            });
+        });
+    });
+
+    it('accepts Uint8Arrays and byte terminators', () => {
+        return mock.createReadyPort({binary: true, terminator: [0xFE]}).then(port => {
+            port.device.addRule(() => true, [Buffer.from([0x10, 0xFE]), Buffer.from([0x11])]);
+            return port.portManager.addRequest(new Uint8Array([0x05]), {timeout: 1000});
+        }).then(response => {
+            response.should.eql(Buffer.from([0x10, 0xFE]));
+        });
+    });
+
+    it('converts ids returned as bytes to hexadecimal strings', () => {
+        var options = {binary: true, getIdResponseParser: buffer => buffer};
+        return mock.createReadyPort(options, {formatId: () => Buffer.from([0xCA, 0xFE])}).then(port => {
+            var pm = port.portManager;
+            pm.deviceId.should.equal('cafe');
+            var events = [];
+            ['idchange', 'reinitialized'].forEach(event => pm.on(event, data => events.push({event, id: data.id})));
+            port.device.unplug();
+            port.device.plug();
+            return mock.once(pm, 'reinitialized').then(() => {
+                events.should.eql([{event: 'reinitialized', id: 'cafe'}]);
+            });
+        });
+    });
+
+    it('decodes multibyte characters split between chunks in text mode', () => {
+        return mock.createReadyPort({terminator: '\n'}).then(port => {
+            port.device.addRule('read\n', '°C é €\n', {chunkSize: 1, chunkDelay: 2});
+            return port.portManager.addRequest('read\n');
+        }).then(response => {
+            response.should.equal('°C é €\n');
+        });
+    });
+});
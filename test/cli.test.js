@@ -0,0 +1,57 @@
+'use strict';
+
+const path = require('path');
+const cli = require('../src/cli');
+
+describe('command-line tool', () => {
+    var config = path.join(__dirname, 'fixtures/cliConfig.js');
+
+    function run(args) {
+        var output = {stdout: '', stderr: ''};
+        var io = {
+            stdout: {write: text => (output.stdout += text)},
+            stderr: {write: text => (output.stderr += text)}
+        };
+        return cli.run(args, io).then(code => Object.assign(output, {code}));
+    }
+
+    it('prints text responses with escape sequences for the control characters', () => {
+        return run(['-c', config, 'send', 'dev1', 'text\\n']).then(result => {
+            result.code.should.equal(0);
+            result.stdout.should.equal('a\\tb\\x01\\\\\\n\n');
+        });
+    });
+
+    it('prints the bytes of binary responses that are not ASCII characters as escape sequences', () => {
+        return run(['-c', config, 'send', 'dev2', 'bytes', '--eol', '\\n']).then(result => {
+            result.stdout.should.equal('\\x01\\xffA\n');
+        });
+    });
+
+    it('prints responses in hexadecimal or JSON', () => {
+        return run(['-c', config, '-e', 'hex', 'send', 'dev2', '62 79 74 65 73 0a']).then(result => {
+            result.stdout.should.equal('01 ff 41\n');
+            return run(['-c', config, '--json', 'send', 'dev1', 'text\\n']);
+        }).then(result => {
+            JSON.parse(result.stdout).should.eql({response: 'a\tb\x01\\\n', encoding: 'utf8'});
+        });
+    });
+
+    it('identifies the devices', () => {
+        return run(['-c', config, 'identify']).then(result => {
+            result.code.should.equal(0);
+            result.stdout.split('\n').sort().should.eql(['', 'mock0\tdev1', 'mock1\tdev2']);
+        });
+    });
+
+    it('reports usage and request errors', () => {
+        return run(['send', 'dev1']).then(result => {
+            result.code.should.equal(2);
+            result.stderr.should.startWith('Wrong number of arguments');
+            return run(['-c', config, '-w', '100', 'send', 'missing', 'text\\n']);
+        }).then(result => {
+            result.code.should.equal(1);
+            result.stderr.should.startWith('DEVICE_LOOKUP_TIMEOUT: ');
+        });
+    });
+});
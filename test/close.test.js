@@ -0,0 +1,107 @@
+'use strict';
+
+const mock = require('./util/mock');
+
+describe('closing', () => {
+    afterEach(mock.cleanup);
+
+    function setup() {
+        return mock.createReadyPort({terminator: '\n'}).then(port => {
+            port.device.addRule(/^slow/, 'slow\n', {delay: 50});
+            port.device.addRule(/^fast/, 'fast\n');
+            return port;
+        });
+    }
+
+    it('rejects the pending requests with a ClosedError', () => {
+        return setup().then(port => {
+            var inFlight = port.portManager.addRequest('slow\n', {timeout: 500});
+            var queued = port.portManager.addRequest('fast\n');
+            var closed = port.portManager.close();
+            return Promise.all([
+                inFlight.should.be.rejectedWith({code: 'CLOSED'}),
+                queued.should.be.rejectedWith({name: 'ClosedError'}),
+                closed
+            ]).then(() => {
+                port.device.received.map(String).should.eql(['id\n', 'slow\n']);
+                port.portManager.statusCode.should.equal(4);
+                (port.device.connection === null).should.be.true();
+            });
+        });
+    });
+
+    it('executes the queued requests before closing with the drain option', () => {
+        return setup().then(port => {
+            var requests = [
+                port.portManager.addRequest('slow\n', {timeout: 500}),
+                port.portManager.addRequest('fast\n')
+            ];
+            return port.portManager.close({drain: true}).then(() => {
+                port.portManager.statusCode.should.equal(4);
+                return Promise.all(requests);
+            }).then(responses => {
+                responses.should.eql(['slow\n', 'fast\n']);
+            });
+        });
+    });
+
+    it('rejects new requests', () => {
+        return setup().then(port => {
+            var closed = port.portManager.close();
+            port.portManager.close().should.equal(closed);
+            return port.portManager.addRequest('fast\n').should.be.rejectedWith({code: 'CLOSED'});
+        });
+    });
+
+    it('stops reconnecting to a missing port', () => {
+        var port = mock.createPort();
+        port.device.unplug();
+        var opened = false;
+        port.portManager.on('open', () => {
+            opened = true;
+        });
+        return port.portManager.close().then(() => {
+            port.device.plug();
+            return mock.delay(60);
+        }).then(() => {
+            opened.should.be.false();
+            port.portManager.statusCode.should.equal(4);
+        });
+    });
+
+    it('rejects the pending device lookups when closing a DeviceManager', () => {
+        var setup = mock.createDeviceManager();
+        var request = setup.deviceManager.addRequest('missing', 'fast\n');
+        return mock.delay(10).then(() => {
+            setup.deviceManager.close();
+            return request.should.be.rejectedWith({code: 'CLOSED'});
+        });
+    });
+
+    it('removes a single device while the other devices keep running', () => {
+        var setup = mock.createDeviceManager();
+        var dm = setup.deviceManager;
+        var removed = setup.transport.addDevice('mock0', new mock.MockDevice({id: 'dev1', idCommand: 'id\n'}))
+            .addRule(/^slow/, 'slow\n', {delay: 50});
+        setup.transport.addDevice('mock1', new mock.MockDevice({id: 'dev2', idCommand: 'id\n'}))
+            .addRule(/^fast/, 'fast\n');
+        var disconnections = [];
+        dm.on('disconnect', event => disconnections.push(event));
+        return Promise.all([dm.addRequest('dev1', 'slow\n', {timeout: 100}), dm.addRequest('dev2', 'fast\n')]).then(() => {
+            var inFlight = dm.addRequest('dev1', 'slow\n', {timeout: 100});
+            var queued = dm.addRequest('dev1', 'slow\n', {timeout: 100});
+            return mock.delay(10).then(() => {
+                return Promise.all([
+                    inFlight.should.be.rejectedWith({code: 'CLOSED', deviceId: 'dev1'}),
+                    queued.should.be.rejectedWith({name: 'ClosedError'}),
+                    dm.removeDevice('dev1')
+                ]);
+            });
+        }).then(() => {
+            disconnections.should.eql([{id: 'dev1'}]);
+            dm.getDeviceIds().should.eql(['dev2']);
+            (removed.connection === null).should.be.true();
+            return dm.addRequest('dev2', 'fast\n').should.be.fulfilledWith('fast\n');
+        });
+    });
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const mock = require('./util/mock');
+const codecs = require('../src/codecs');
+
+describe('codecs', () => {
+    afterEach(mock.cleanup);
+
+    var payloads = [
+        Buffer.from('hello'),
+        Buffer.from([0x00, 0xC0, 0xDB, 0x02, 0x03, 0x0A, 0xFF, 0x00]),
+        Buffer.from(Array.from({length: 600}, (value, index) => index % 256))
+    ];
+
+    function roundTrip(codec, payload) {
+        return codec.decode(Buffer.from(codec.encode(payload)));
+    }
+
+    describe('round trips', () => {
+        var binarySafe = {
+            slip: codecs.slip(),
+            cobs: codecs.cobs(),
+            lengthPrefixed: codecs.lengthPrefixed({lengthBytes: 2}),
+            xor: codecs.xor(),
+            crc8: codecs.crc8(),
+            crc16: codecs.crc16(),
+            'crc16 and slip': codecs.compose([codecs.crc16({algorithm: 'ccitt'}), codecs.slip()])
+        };
+        Object.keys(binarySafe).forEach(name => {
+            it(name, () => {
+                payloads.forEach(payload => {
+                    roundTrip(binarySafe[name], payload).should.eql(payload);
+                });
+            });
+        });
+
+        it('empty payloads, which SLIP ignores', () => {
+            Object.keys(binarySafe).forEach(name => {
+                var decoded = roundTrip(binarySafe[name], Buffer.alloc(0));
+                if (name === 'slip') (decoded === null).should.be.true();
+                else decoded.should.eql(Buffer.alloc(0));
+            });
+        });
+
+        it('line and stxEtx, for payloads without their delimiters', () => {
+            roundTrip(codecs.line({delimiter: '\r\n'}), Buffer.from('hello')).should.eql(Buffer.from('hello'));
+            roundTrip(codecs.stxEtx(), Buffer.from('hello')).should.eql(Buffer.from('hello'));
+        });
+    });
+
+    it('computes the standard checksums', () => {
+        var check = Buffer.from('123456789');
+        codecs.crc16().encode(check).slice(-2).should.eql(Buffer.from([0x37, 0x4B]));
+        codecs.crc16({algorithm: 'ccitt'}).encode(check).slice(-2).should.eql(Buffer.from([0x29, 0xB1]));
+        codecs.crc16({algorithm: 'xmodem'}).encode(check).slice(-2).should.eql(Buffer.from([0x31, 0xC3]));
+        codecs.crc8().encode(check).slice(-1).should.eql(Buffer.from([0xF4]));
+    });
+
+    it('waits for complete frames', () => {
+        (codecs.slip().decode(Buffer.from([0xC0, 0x01, 0x02])) === null).should.be.true();
+        (codecs.cobs().decode(Buffer.from([0x03, 0x01, 0x02])) === null).should.be.true();
+        (codecs.lengthPrefixed().decode(Buffer.from([0x03, 0x01])) === null).should.be.true();
+        (codecs.stxEtx().decode(Buffer.from([0x05, 0x02, 0x01])) === null).should.be.true();
+        codecs.stxEtx().decode(Buffer.from([0x05, 0x02, 0x01, 0x03])).should.eql(Buffer.from([0x01]));
+    });
+
+    it('rejects invalid frames', () => {
+        (() => codecs.slip().decode(Buffer.from([0xC0, 0xDB, 0x01, 0xC0]))).should.throw({code: 'INVALID_FRAME'});
+        (() => codecs.cobs().decode(Buffer.from([0x05, 0x01, 0x00]))).should.throw({code: 'INVALID_FRAME'});
+        (() => codecs.crc16().decode(Buffer.from([0x01]))).should.throw({code: 'INVALID_FRAME'});
+        (() => codecs.crc16().decode(Buffer.from([0x01, 0x00, 0x00]))).should.throw({code: 'CHECKSUM_MISMATCH'});
+        (() => codecs.crc16({algorithm: 'crc32'})).should.throw(TypeError);
+    });
+
+    describe('on a port', () => {
+        var codec = codecs.compose([codecs.crc16(), codecs.slip()]);
+
+        function setup(options) {
+            var port = mock.createPort(Object.assign({
+                codec,
+                getIdCommand: 'id',
+                getIdResponseParser: buffer => String(buffer)
+            }, options), {idCommand: null});
+            port.device.addRule((cmd, data) => data, (cmd, data) => {
+                var command = codec.decode(data).toString('latin1');
+                if (command === 'id') return codec.encode(Buffer.from('dev1'));
+                if (command === 'corrupt') return codecs.slip().encode(Buffer.from([0x01, 0x02, 0x03]));
+                return codec.encode(Buffer.from(`echo ${command}`, 'latin1'));
+            }, {chunkSize: 3, chunkDelay: 1});
+            return mock.once(port.portManager, 'ready').then(() => port);
+        }
+
+        it('encodes the commands and decodes the responses', () => {
+            return setup().then(port => {
+                port.portManager.deviceId.should.equal('dev1');
+                return port.portManager.addRequest('ping').should.be.fulfilledWith('echo ping');
+            });
+        });
+
+        it('returns Buffers in binary mode', () => {
+            return setup({binary: true}).then(port => {
+                return port.portManager.addRequest(Buffer.from([0xC0])).should.be.fulfilledWith(Buffer.from('echo À', 'latin1'));
+            });
+        });
+
+        it('rejects responses with an invalid checksum', () => {
+            return setup().then(port => {
+                return port.portManager.addRequest('corrupt').should.be.rejectedWith({code: 'CHECKSUM_MISMATCH'});
+            });
+        });
+    });
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+const mock = require('./util/mock');
+
+describe('named commands', () => {
+    afterEach(mock.cleanup);
+
+    function setup() {
+        return mock.createReadyPort({
+            terminator: '\r\n',
+            commands: {
+                temperature: {command: 'T{channel}\n', response: /^T\d=(.*)\r\n$/, parse: (res, match) => Number(match[1])},
+                range: {command: 'R\n', response: /^(\d+)-(\d+)\r\n$/},
+                raw: {command: args => `RAW ${args.value}\n`, options: {timeout: 500}}
+            }
+        }).then(port => {
+            port.device.addRule('T9\n', 'ERR\r\n');
+            port.device.addRule(/^T\d/, cmd => `T${cmd[1]}=21.5\r\n`);
+            port.device.addRule('R\n', '10-20\r\n');
+            port.device.addRule(/^RAW/, 'done\r\n', {delay: 50});
+            return port;
+        });
+    }
+
+    it('formats the command and parses the response', () => {
+        return setup().then(port => {
+            return port.portManager.command('temperature', {channel: 2}).should.be.fulfilledWith(21.5).then(() => {
+                port.device.received.map(String).should.containEql('T2\n');
+            });
+        });
+    });
+
+    it('returns the captured groups by default', () => {
+        return setup().then(port => {
+            return port.portManager.command('range').should.be.fulfilledWith(['10', '20']);
+        });
+    });
+
+    it('formats the command with a function and uses the request options of the definition', () => {
+        return setup().then(port => {
+            return port.portManager.command('raw', {value: 3}).should.be.fulfilledWith('done\r\n').then(() => {
+                port.device.received.map(String).should.containEql('RAW 3\n');
+            });
+        });
+    });
+
+    it('rejects unknown commands and missing arguments', () => {
+        return setup().then(port => {
+            return Promise.all([
+                port.portManager.command('missing').should.be.rejectedWith({code: 'INVALID_REQUEST'}),
+                port.portManager.command('temperature', {}).should.be.rejectedWith({message: 'Missing command argument: channel'})
+            ]);
+        });
+    });
+
+    it('rejects responses that do not match the response pattern', () => {
+        return setup().then(port => {
+            return port.portManager.command('temperature', {channel: 9}).should.be.rejectedWith({code: 'RESPONSE_VALIDATION_ERROR'});
+        });
+    });
+});
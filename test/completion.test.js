@@ -0,0 +1,86 @@
+'use strict';
+
+const mock = require('./util/mock');
+
+describe('response completion', () => {
+    afterEach(mock.cleanup);
+
+    function setup(options) {
+        return mock.createReadyPort(options).then(port => {
+            port.device.addRule('read\n', ['OK', ' 12', '\r\n'], {chunkDelay: 20});
+            return port;
+        });
+    }
+
+    function timeRequest(portManager, options) {
+        var start = Date.now();
+        return portManager.addRequest('read\n', Object.assign({timeout: 1000}, options)).then(response => {
+            return {response, duration: Date.now() - start};
+        });
+    }
+
+    it('ends the request once the terminator is received', () => {
+        return setup({terminator: '\r\n'}).then(port => timeRequest(port.portManager)).then(result => {
+            result.response.should.equal('OK 12\r\n');
+            result.duration.should.be.below(500);
+        });
+    });
+
+    it('accepts the terminator as bytes', () => {
+        return setup({terminator: [13, 10]}).then(port => timeRequest(port.portManager)).then(result => {
+            result.response.should.equal('OK 12\r\n');
+            result.duration.should.be.below(500);
+        });
+    });
+
+    it('ends the request once the response matches the pattern', () => {
+        return setup({responsePattern: /^OK \d+\r\n$/}).then(port => timeRequest(port.portManager)).then(result => {
+            result.response.should.equal('OK 12\r\n');
+            result.duration.should.be.below(500);
+        });
+    });
+
+    it('ends the request once the response has the expected length', () => {
+        return setup({responseLength: 5}).then(port => timeRequest(port.portManager)).then(result => {
+            result.response.should.equal('OK 12');
+            result.duration.should.be.below(500);
+        });
+    });
+
+    it('ends the request once the predicate is true', () => {
+        return setup({isComplete: buffer => buffer.endsWith('\n')}).then(port => timeRequest(port.portManager)).then(result => {
+            result.response.should.equal('OK 12\r\n');
+            result.duration.should.be.below(500);
+        });
+    });
+
+    it('rejects the request when the predicate throws', () => {
+        var error = new Error('cannot check');
+        var isComplete = () => {
+            throw error;
+        };
+        return setup().then(port => {
+            return port.portManager.addRequest('read\n', {isComplete}).should.be.rejectedWith(error).then(() => {
+                return port.portManager.addRequest('read\n', {terminator: '\r\n'}).should.be.fulfilledWith('OK 12\r\n');
+            });
+        });
+    });
+
+    it('lets the request options replace the strategy of the port', () => {
+        return setup({responseLength: 2}).then(port => timeRequest(port.portManager, {terminator: '\n'})).then(result => {
+            result.response.should.equal('OK 12\r\n');
+        });
+    });
+
+    it('falls back to the silence timeout without a strategy', () => {
+        return setup().then(port => port.portManager.addRequest('read\n', {timeout: 60})).then(response => {
+            response.should.equal('OK 12\r\n');
+        });
+    });
+
+    it('resolves with the partial response when the terminator never comes', () => {
+        return setup({terminator: '\n\n'}).then(port => port.portManager.addRequest('read\n', {timeout: 60})).then(response => {
+            response.should.equal('OK 12\r\n');
+        });
+    });
+});
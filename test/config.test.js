@@ -0,0 +1,142 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mock = require('./util/mock');
+const config = require('../src/config');
+
+describe('device configuration', () => {
+    var directory;
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'serial-requests-'));
+    });
+
+    after(() => {
+        fs.readdirSync(directory).forEach(file => fs.unlinkSync(path.join(directory, file)));
+        fs.rmdirSync(directory);
+    });
+
+    afterEach(mock.cleanup);
+
+    function writeFile(name, text) {
+        var file = path.join(directory, name);
+        fs.writeFileSync(file, text);
+        return file;
+    }
+
+    var devices = [
+        {
+            name: 'balance',
+            match: {vendorId: '0403', path: '/dev/ttyUSB*'},
+            port: {baudRate: 9600},
+            idCommand: 'ID\r\n',
+            idResponse: '^ID=(\\w+)',
+            check: {pattern: '^ok', flags: 'i'},
+            options: {terminator: '\r\n', retries: 2}
+        },
+        {
+            match: {manufacturer: ['Arduino', 'Arduino LLC']},
+            idCommand: 'i\n',
+            idResponse: '(\\d+)'
+        }
+    ];
+
+    it('gives the options of the first device matching a port', () => {
+        var optionCreator = config.createOptionCreator({devices});
+        var options = optionCreator({comName: '/dev/ttyUSB0', vendorId: '0403', manufacturer: 'Arduino'});
+        options.should.containEql({baudRate: 9600, terminator: '\r\n', retries: 2, getIdCommand: 'ID\r\n'});
+        options.getIdResponseParser('ID=balance1\r\n').should.equal('balance1');
+        (() => options.getIdResponseParser('?\r\n')).should.throw({code: 'IDENTIFICATION_ERROR'});
+        options.checkResponse('OK 12').should.be.true();
+        options.checkResponse('error').should.be.false();
+
+        optionCreator({path: '/dev/ttyUSB1', vendorId: '0403'}).getIdCommand.should.equal('ID\r\n');
+        optionCreator({comName: '/dev/ttyACM0', vendorId: '0403', manufacturer: 'Arduino LLC'}).getIdCommand.should.equal('i\n');
+        (optionCreator({comName: '/dev/ttyS0'}) === undefined).should.be.true();
+    });
+
+    it('lists all the problems of an invalid configuration', () => {
+        (() => config.createOptionCreator({
+            devices: [
+                {
+                    name: 'balance',
+                    match: {vendorID: '0403'},
+                    port: {baudrate: 9600},
+                    idResponse: 'ID=\\w+'
+                }
+            ]
+        })).should.throw({
+            code: 'INVALID_CONFIG',
+            problems: [
+                'devices[0] (balance).match.vendorID: unknown property, did you mean vendorId?',
+                'devices[0] (balance).match: expected at least one of manufacturer, vendorId, productId, serialNumber, path',
+                'devices[0] (balance).port.baudrate: unknown property, did you mean baudRate?',
+                'devices[0] (balance).idCommand: expected a non-empty string',
+                'devices[0] (balance).idResponse: expected a capture group for the device id, such as ^ID=(\\w+)'
+            ]
+        });
+    });
+
+    it('validates the options with the rules of PortManager', () => {
+        var device = {match: {manufacturer: 'ACME'}, idCommand: 'ID\n', idResponse: '(\\w+)'};
+        (() => config.createOptionCreator({
+            devices: [Object.assign({options: {maxQLength: 0, terminator: [13, 10], reconnection: {maxDelay: 1000}}}, device)]
+        })).should.not.throw();
+        (() => config.createOptionCreator({
+            devices: [Object.assign({options: {reconnection: {jitter: 2}, retryBackoff: 'random'}}, device)]
+        })).should.throw({
+            problems: [
+                'devices[0].options.reconnection.jitter: expected at most 1, received 2',
+                'devices[0].options.retryBackoff: expected one of "fixed", "linear", "exponential", received "random"'
+            ]
+        });
+    });
+
+    it('loads JSON and YAML files', () => {
+        var json = writeFile('devices.json', JSON.stringify({devices}));
+        var yaml = writeFile('devices.yml', [
+            'devices:',
+            '  - match: {manufacturer: Arduino}',
+            '    idCommand: "i\\n"',
+            "    idResponse: '(\\d+)'"
+        ].join('\n'));
+        config.loadOptionCreator(json).config.should.eql({devices});
+        config.loadOptionCreator(yaml)({manufacturer: 'Arduino'}).getIdResponseParser('42\n').should.equal('42');
+    });
+
+    it('reports the files that cannot be read, parsed or validated', () => {
+        var missing = path.join(directory, 'missing.json');
+        var invalidJson = writeFile('invalid.json', '{devices');
+        var invalidConfig = writeFile('invalid.yaml', 'devices: 3');
+        (() => config.loadOptionCreator(missing)).should.throw({code: 'INVALID_CONFIG', file: missing});
+        (() => config.loadOptionCreator(missing)).should.throw(/missing\.json: ENOENT/);
+        (() => config.loadOptionCreator(invalidJson)).should.throw({code: 'INVALID_CONFIG', file: invalidJson});
+        (() => config.loadOptionCreator(invalidConfig)).should.throw({
+            code: 'INVALID_CONFIG',
+            file: invalidConfig,
+            problems: ['devices: expected an array']
+        });
+    });
+
+    it('identifies the devices of a DeviceManager', () => {
+        var optionCreator = config.createOptionCreator({
+            devices: [
+                {
+                    match: {manufacturer: 'ACME'},
+                    idCommand: 'ID\n',
+                    idResponse: '^ID=(\\w+)',
+                    options: {terminator: '\n'}
+                }
+            ]
+        });
+        var setup = mock.createDeviceManager({optionCreator});
+        setup.transport.addDevice('mock0', new mock.MockDevice({id: 'dev1', idCommand: 'ID\n', formatId: id => `ID=${id}\n`}), {manufacturer: 'ACME'})
+            .addRule('ping\n', 'pong\n');
+        setup.transport.addDevice('mock1', new mock.MockDevice({id: 'other', idCommand: 'ID\n'}));
+        return setup.deviceManager.addRequest('dev1', 'ping\n').should.be.fulfilledWith('pong\n').then(() => {
+            Object.keys(setup.deviceManager.serialQManagers).should.eql(['mock0']);
+        });
+    });
+});
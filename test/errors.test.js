@@ -0,0 +1,45 @@
+'use strict';
+
+const errors = require('../src/errors');
+const mock = require('./util/mock');
+
+describe('errors', () => {
+    afterEach(mock.cleanup);
+
+    it('have a code, a name and the context of the failure', () => {
+        var err = new errors.QueueFullError({deviceId: 'dev1', port: 'mock0', command: 'a\n', priority: 'low'});
+        err.should.be.instanceOf(errors.SerialRequestsError);
+        err.should.be.instanceOf(Error);
+        err.should.match({name: 'QueueFullError', code: 'QUEUE_FULL', deviceId: 'dev1', port: 'mock0', priority: 'low'});
+    });
+
+    it('are rejected with the port and device context', () => {
+        return mock.createReadyPort({checkResponse: response => response !== 'bad\n'}).then(port => {
+            port.device.addRule('read\n', 'bad\n');
+            return port.portManager.addRequest('read\n').should.be.rejectedWith(errors.ResponseValidationError, {
+                deviceId: 'dev1',
+                port: 'mock0',
+                command: 'read\n',
+                buffer: 'bad\n'
+            });
+        });
+    });
+
+    it('reject requests to a device that is not ready', () => {
+        var port = mock.createPort();
+        return port.portManager.addRequest('read\n').should.be.rejectedWith(errors.DeviceNotReadyError);
+    });
+
+    it('reject requests to a port whose options are not created yet', () => {
+        var port = mock.createPort(() => ({}));
+        return Promise.all([
+            port.portManager.addRequest('read\n').should.be.rejectedWith(errors.DeviceNotReadyError),
+            port.portManager.addRequest('id\n').should.be.rejectedWith(errors.DeviceNotReadyError)
+        ]);
+    });
+
+    it('reject lookups of unknown devices after the timeout', () => {
+        var dm = mock.createDeviceManager({timeout: 50}).deviceManager;
+        return dm.addRequest('unknown', 'read\n').should.be.rejectedWith({code: 'DEVICE_LOOKUP_TIMEOUT', deviceId: 'unknown'});
+    });
+});
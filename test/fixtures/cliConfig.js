@@ -0,0 +1,20 @@
+'use strict';
+
+// DeviceManager options used by the cli tests: a text device on mock0 and a binary device on mock1
+
+const MockTransport = require('../../src/transports/MockTransport');
+const MockDevice = require('../../src/MockDevice');
+
+const transport = new MockTransport();
+transport.addDevice('mock0', new MockDevice({id: 'dev1', idCommand: 'id\n'}))
+    .addRule('text\n', 'a\tb\x01\\\n');
+transport.addDevice('mock1', new MockDevice({id: 'dev2', idCommand: 'id\n'}))
+    .addRule('bytes\n', Buffer.from([0x01, 0xFF, 0x41]));
+
+exports.transports = [transport];
+exports.optionCreator = port => ({
+    getIdCommand: 'id\n',
+    getIdResponseParser: buffer => String(buffer).trim(),
+    serialResponseTimeout: 30,
+    binary: port.comName === 'mock1'
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const mock = require('./util/mock');
+const portOptions = require('../src/portOptions');
+
+describe('PortManager options validation', () => {
+    afterEach(mock.cleanup);
+
+    function validate(options) {
+        return portOptions.validate(Object.assign({
+            getIdCommand: 'id\n',
+            priorities: ['high', 'normal', 'low'],
+            defaultPriority: 'normal',
+            maxQLengthByPriority: {}
+        }, options));
+    }
+
+    it('accepts valid options, and unknown options used by transports', () => {
+        validate({baudRate: 9600, retries: 2, reconnection: {factor: 2, maxDelay: Infinity}, host: 'localhost'}).should.eql([]);
+    });
+
+    it('lists all the problems', () => {
+        validate({
+            baudrate: 9600,
+            retries: -1,
+            parity: 'random',
+            reconnection: {jitter: 2},
+            codec: [{encode: () => null}],
+            unsolicited: {match: 'ALARM'}
+        }).should.eql([
+            'baudrate: unknown property, did you mean baudRate?',
+            'retries: expected at least 0, received -1',
+            'codec: expected item 0 to be a codec with encode and decode functions, received [{}]',
+            'unsolicited.match: expected a RegExp or a function, received "ALARM"',
+            'reconnection.jitter: expected at most 1, received 2',
+            'parity: expected one of "none", "even", "odd", "mark", "space", received "random"'
+        ]);
+    });
+
+    it('checks the options against each other', () => {
+        validate({getIdCommand: Buffer.from([1])}).should.eql(['getIdCommand: expected a string, Buffers are only accepted with the binary or codec option']);
+        validate({getIdCommand: Buffer.from([1]), binary: true}).should.eql([]);
+        validate({defaultPriority: 'urgent', maxQLengthByPriority: {background: 2}}).should.eql([
+            'defaultPriority: expected one of the priorities, received "urgent"',
+            'maxQLengthByPriority.background: unknown priority'
+        ]);
+    });
+
+    it('does not open the port with invalid options until reconnect is called', () => {
+        var options = {getIdCommand: 'id\n', baudrate: 9600};
+        var port = mock.createPort(() => options);
+        return mock.once(port.portManager, 'statusChanged', event => event.code === 10).then(event => {
+            event.message.should.equal('Invalid options for port mock0:\n  - baudrate: unknown property, did you mean baudRate?');
+            port.portManager.optionsError.problems.should.have.length(1);
+            (port.device.connection === null).should.be.true();
+            options = {getIdCommand: 'id\n'};
+            port.portManager.reconnect();
+            return mock.once(port.portManager, 'ready');
+        }).then(() => {
+            (port.portManager.optionsError === null).should.be.true();
+        });
+    });
+
+    it('reports the errors thrown by an optionCreator', () => {
+        var port = mock.createPort(() => {
+            throw new Error('no options');
+        });
+        return mock.once(port.portManager, 'statusChanged', event => event.code === 10).then(event => {
+            event.message.should.equal('Invalid options for port mock0:\n  - optionCreator threw: no options');
+        });
+    });
+});
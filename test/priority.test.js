@@ -0,0 +1,67 @@
+'use strict';
+
+const mock = require('./util/mock');
+
+describe('request priorities', () => {
+    afterEach(mock.cleanup);
+
+    function setup(options) {
+        return mock.createReadyPort(Object.assign({terminator: '\n'}, options)).then(port => {
+            port.device.addRule(() => true, cmd => cmd, {delay: 5});
+            return port;
+        });
+    }
+
+    it('executes higher priority requests first, in order within a class', () => {
+        return setup().then(port => {
+            var pm = port.portManager;
+            var requests = [
+                pm.addRequest('first\n'),
+                pm.addRequest('low 1\n', {priority: 'low'}),
+                pm.addRequest('normal\n'),
+                pm.addRequest('high 1\n', {priority: 'high'}),
+                pm.addRequest('low 2\n', {priority: 'low'}),
+                pm.addRequest('high 2\n', {priority: 'high'})
+            ];
+            return Promise.all(requests).then(() => {
+                var expected = ['id\n', 'first\n', 'high 1\n', 'high 2\n', 'normal\n', 'low 1\n', 'low 2\n'];
+                port.device.received.map(String).should.eql(expected);
+            });
+        });
+    });
+
+    it('limits the queue length per priority class', () => {
+        return setup({maxQLength: 1, maxQLengthByPriority: {low: 0}}).then(port => {
+            var pm = port.portManager;
+            return Promise.all([
+                pm.addRequest('a\n').should.be.fulfilled(),
+                pm.addRequest('b\n').should.be.rejectedWith({code: 'QUEUE_FULL', priority: 'normal'}),
+                pm.addRequest('c\n', {priority: 'low'}).should.be.rejectedWith({code: 'QUEUE_FULL', priority: 'low'}),
+                pm.addRequest('d\n', {priority: 'high'}).should.be.fulfilled()
+            ]).then(() => {
+                port.device.received.map(String).should.eql(['id\n', 'a\n', 'd\n']);
+                // The limit applies to the requests waiting or being executed
+                return pm.addRequest('e\n').should.be.fulfilled();
+            });
+        });
+    });
+
+    it('rejects unknown priorities', () => {
+        return setup().then(port => {
+            return port.portManager.addRequest('a\n', {priority: 'urgent'}).should.be.rejectedWith({code: 'INVALID_REQUEST'});
+        });
+    });
+
+    it('uses custom priority classes', () => {
+        return setup({priorities: ['alarm', 'poll'], defaultPriority: 'poll'}).then(port => {
+            var pm = port.portManager;
+            return Promise.all([
+                pm.addRequest('a\n'),
+                pm.addRequest('b\n'),
+                pm.addRequest('c\n', {priority: 'alarm'})
+            ]).then(() => {
+                port.device.received.map(String).should.eql(['id\n', 'a\n', 'c\n', 'b\n']);
+            });
+        });
+    });
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+const mock = require('./util/mock');
+
+describe('reconnection and identification policies', () => {
+    afterEach(mock.cleanup);
+
+    it('retries the identification until the device answers', () => {
+        var port = mock.createPort({initRetry: {initialDelay: 10}}, {idCommand: undefined});
+        return mock.once(port.portManager, 'statusChanged', event => event.code === 7).then(() => {
+            port.device.addRule('id\n', 'dev1\n');
+            return mock.once(port.portManager, 'ready');
+        }).then(event => {
+            event.should.eql({id: 'dev1'});
+        });
+    });
+
+    it('gives up identifying the device after maxAttempts', () => {
+        var port = mock.createPort({initRetry: {initialDelay: 10, maxAttempts: 2}}, {idCommand: undefined});
+        return mock.once(port.portManager, 'giveUp').then(event => {
+            event.should.eql({reason: 'init', attempts: 2});
+            port.portManager.statusCode.should.equal(9);
+        });
+    });
+
+    it('gives up connecting to a missing port after maxAttempts', () => {
+        var port = mock.createPort({reconnection: {initialDelay: 10, maxAttempts: 2}});
+        // The port may already be listed when the device is unplugged, and then fails to open
+        var errors = [];
+        port.portManager.on('error', err => errors.push(err));
+        port.device.unplug();
+        return mock.once(port.portManager, 'giveUp').then(event => {
+            event.should.eql({reason: 'reconnection', attempts: 2});
+            port.portManager.statusCode.should.equal(8);
+        });
+    });
+
+    it('stops identifying a port once it is closed', () => {
+        var port = mock.createPort({initRetry: {initialDelay: 10}}, {idCommand: undefined});
+        var codes = [];
+        return mock.once(port.portManager, 'statusChanged', event => event.code === 7).then(() => {
+            port.portManager.on('statusChanged', event => codes.push(event.code));
+            port.device.unplug();
+            return mock.delay(60);
+        }).then(() => {
+            codes.should.not.containEql(1);
+            port.device.addRule('id\n', 'dev1\n');
+            port.device.plug();
+            return mock.once(port.portManager, 'ready');
+        });
+    });
+});
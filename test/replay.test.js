@@ -0,0 +1,70 @@
+'use strict';
+
+const stream = require('stream');
+const mock = require('./util/mock');
+const TrafficRecorder = require('../src/TrafficRecorder');
+const ReplayTransport = require('../src/transports/ReplayTransport');
+
+describe('recording and replay', () => {
+    afterEach(mock.cleanup);
+
+    // Record a session where dev1 is identified and answers ping
+    function record() {
+        var destination = new stream.PassThrough();
+        var chunks = [];
+        destination.on('data', chunk => chunks.push(chunk));
+        var recorder = new TrafficRecorder(destination);
+        var setup = mock.createDeviceManager({recorder});
+        setup.transport.addDevice('mock0', new mock.MockDevice({id: 'dev1', idCommand: 'id\n'}), {manufacturer: 'ACME'})
+            .addRule('ping\n', 'pong\n');
+        return setup.deviceManager.addRequest('dev1', 'ping\n').should.be.fulfilledWith('pong\n').then(() => {
+            return setup.deviceManager.close();
+        }).then(() => new Promise(resolve => recorder.close(resolve))).then(() => {
+            return Buffer.concat(chunks).toString().split('\n').filter(line => line).map(line => JSON.parse(line));
+        });
+    }
+
+    function replay(entries, options) {
+        return mock.createDeviceManager({transports: [new ReplayTransport(entries, options)]}).deviceManager;
+    }
+
+    it('records the identification and the requests of a DeviceManager', () => {
+        return record().then(entries => {
+            entries.forEach(entry => {
+                entry.port.should.equal('mock0');
+                entry.time.should.be.a.Number();
+            });
+            entries.find(entry => entry.event === 'open').portInfo.should.containEql({comName: 'mock0', manufacturer: 'ACME'});
+            var exchange = entries.filter(entry => entry.event === 'write' || entry.event === 'data' || entry.event === 'ready');
+            exchange.map(entry => [entry.event, entry.data && Buffer.from(entry.data, 'hex').toString()]).should.eql([
+                ['write', 'id\n'],
+                ['data', 'dev1\n'],
+                ['ready', undefined],
+                ['write', 'ping\n'],
+                ['data', 'pong\n']
+            ]);
+            entries.find(entry => entry.event === 'ready').id.should.equal('dev1');
+            entries.filter(entry => entry.event === 'status').map(entry => entry.code).should.containDeep([1, 2, 4]);
+        });
+    });
+
+    it('replays a recording', () => {
+        return record().then(entries => {
+            var deviceManager = replay(entries);
+            return deviceManager.addRequest('dev1', 'ping\n').should.be.fulfilledWith('pong\n').then(() => {
+                deviceManager.getDeviceStatus('dev1').comName.should.equal('mock0');
+            });
+        });
+    });
+
+    it('fails the writes that differ from the recording in strict mode', () => {
+        return record().then(entries => {
+            return Promise.all([
+                replay(entries).addRequest('dev1', 'pong\n').should.be.rejectedWith({code: 'WRITE_ERROR'}).then(err => {
+                    err.cause.message.should.equal('Replay mismatch on mock0: expected 70696e670a, got 706f6e670a');
+                }),
+                replay(entries, {strict: false}).addRequest('dev1', 'pong\n').should.be.fulfilledWith('pong\n')
+            ]);
+        });
+    });
+});
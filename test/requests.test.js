@@ -0,0 +1,67 @@
+'use strict';
+
+const mock = require('./util/mock');
+
+describe('request inspection', () => {
+    afterEach(mock.cleanup);
+
+    it('lists the request in flight and the queued requests in execution order', () => {
+        return mock.createReadyPort({terminator: '\n'}).then(port => {
+            port.device.addRule(() => true, cmd => cmd, {delay: 30});
+            var pm = port.portManager;
+            var before = Date.now();
+            var requests = [
+                pm.addRequest('first\n', {tag: 'poller'}),
+                pm.addRequest('low\n', {priority: 'low', tag: 'logger'}),
+                pm.addRequest('normal\n'),
+                pm.addRequest('high\n', {priority: 'high', tag: 'ui'})
+            ];
+            var listed = pm.getRequests();
+            listed.map(request => [request.command, request.state, request.priority, request.tag]).should.eql([
+                ['first\n', 'inFlight', 'normal', 'poller'],
+                ['high\n', 'queued', 'high', 'ui'],
+                ['normal\n', 'queued', 'normal', undefined],
+                ['low\n', 'queued', 'low', 'logger']
+            ]);
+            listed.forEach(request => {
+                request.enqueuedAt.should.be.aboveOrEqual(before);
+                request.failedAttempts.should.equal(0);
+            });
+            listed[0].startedAt.should.be.aboveOrEqual(listed[0].enqueuedAt);
+            listed.slice(1).forEach(request => (request.startedAt === undefined).should.be.true());
+            return Promise.all(requests).then(() => {
+                pm.getRequests().should.eql([]);
+            });
+        });
+    });
+
+    it('aggregates the requests of all the devices of a DeviceManager', () => {
+        var setup = mock.createDeviceManager();
+        var dm = setup.deviceManager;
+        setup.transport.addDevice('mock0', new mock.MockDevice({id: 'dev1', idCommand: 'id\n'}))
+            .addRule(/^slow/, 'slow\n', {delay: 50});
+        setup.transport.addDevice('mock1', new mock.MockDevice({id: 'dev2', idCommand: 'id\n'}))
+            .addRule(/^slow/, 'slow\n', {delay: 50});
+        var options = {terminator: '\n', tag: 'test'};
+        return Promise.all([dm.addRequest('dev1', 'slow\n', options), dm.addRequest('dev2', 'slow\n', options)]).then(() => {
+            var requests = [
+                dm.addRequest('dev1', 'slow 1\n', options),
+                dm.addRequest('dev1', 'slow 2\n', options),
+                dm.addRequest('dev2', 'slow 3\n', options)
+            ];
+            return mock.delay(10).then(() => {
+                var listed = dm.getRequests().map(request => [request.deviceId, request.comName, request.command, request.state, request.tag]);
+                listed.should.have.length(3);
+                // The devices are listed in the order in which they were identified
+                listed.filter(request => request[0] === 'dev1').should.eql([
+                    ['dev1', 'mock0', 'slow 1\n', 'inFlight', 'test'],
+                    ['dev1', 'mock0', 'slow 2\n', 'queued', 'test']
+                ]);
+                listed.filter(request => request[0] === 'dev2').should.eql([['dev2', 'mock1', 'slow 3\n', 'inFlight', 'test']]);
+                dm.getRequests('dev2').map(request => request.command).should.eql(['slow 3\n']);
+                dm.getRequests('missing').should.eql([]);
+                return Promise.all(requests);
+            });
+        });
+    });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const mock = require('./util/mock');
+
+describe('request retries', () => {
+    afterEach(mock.cleanup);
+
+    function setup(options, answers) {
+        return mock.createReadyPort(Object.assign({
+            terminator: '\n',
+            retryDelay: 5,
+            checkResponse: response => !response.startsWith('ERR')
+        }, options)).then(port => {
+            var remaining = answers.slice();
+            port.device.addRule('read\n', () => (remaining.length > 1 ? remaining.shift() : remaining[0]));
+            return port;
+        });
+    }
+
+    it('retries invalid responses', () => {
+        return setup({retries: 2}, ['ERR\n', 'ERR\n', 'OK\n']).then(port => {
+            return port.portManager.addRequest('read\n').should.be.fulfilledWith('OK\n').then(() => {
+                port.device.received.map(String).filter(cmd => cmd === 'read\n').should.have.length(3);
+            });
+        });
+    });
+
+    it('fails with the last error once the retries are exhausted', () => {
+        return setup({retries: 1}, ['ERR\n']).then(port => {
+            return port.portManager.addRequest('read\n').should.be.rejectedWith({code: 'RESPONSE_VALIDATION_ERROR'}).then(err => {
+                err.attempts.should.have.length(2);
+                err.attempts[1].should.containEql({code: 'RESPONSE_VALIDATION_ERROR', message: err.message});
+                JSON.parse(JSON.stringify(err)).attempts.should.have.length(2);
+                port.device.received.map(String).filter(cmd => cmd === 'read\n').should.have.length(2);
+            });
+        });
+    });
+
+    it('does not retry by default', () => {
+        return setup({}, ['ERR\n', 'OK\n']).then(port => {
+            return port.portManager.addRequest('read\n').should.be.rejectedWith({code: 'RESPONSE_VALIDATION_ERROR'});
+        });
+    });
+
+    it('lets requests override the retry options', () => {
+        return setup({retries: 0}, ['ERR\n', 'OK\n']).then(port => {
+            return port.portManager.addRequest('read\n', {retries: 1}).should.be.fulfilledWith('OK\n');
+        });
+    });
+
+    it('only retries the errors selected by retryOn', () => {
+        return setup({retries: 3, retryOn: ['WRITE_ERROR']}, ['ERR\n', 'OK\n']).then(port => {
+            return port.portManager.addRequest('read\n').should.be.rejectedWith({code: 'RESPONSE_VALIDATION_ERROR'});
+        });
+    });
+
+    it('does not retry write errors by default', () => {
+        return setup({retries: 1}, ['OK\n']).then(port => {
+            port.device.failNextWrite();
+            return port.portManager.addRequest('read\n').should.be.rejectedWith({code: 'WRITE_ERROR'}).then(err => {
+                err.attempts.should.have.length(1);
+            });
+        });
+    });
+
+    it('does not retry once the port is closed after a write error', () => {
+        return setup({retries: 1, retryOn: ['WRITE_ERROR']}, ['OK\n']).then(port => {
+            port.device.failNextWrite();
+            return port.portManager.addRequest('read\n').should.be.rejectedWith({code: 'DEVICE_NOT_READY'}).then(err => {
+                err.attempts.should.have.length(1);
+                err.attempts[0].code.should.equal('WRITE_ERROR');
+                return mock.once(port.portManager, 'reinitialized');
+            }).then(() => {
+                port.device.received.map(String).should.eql(['id\n', 'id\n']);
+            });
+        });
+    });
+
+    it('waits according to the backoff strategy', () => {
+        var delays = [];
+        var backoff = (attempt, delay) => {
+            delays.push(attempt);
+            return delay * attempt;
+        };
+        return setup({retries: 2, retryBackoff: backoff}, ['ERR\n', 'ERR\n', 'OK\n']).then(port => {
+            return port.portManager.addRequest('read\n').should.be.fulfilledWith('OK\n').then(() => {
+                delays.should.eql([1, 2]);
+            });
+        });
+    });
+});
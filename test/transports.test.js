@@ -0,0 +1,172 @@
+'use strict';
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const mock = require('./util/mock');
+const PortManager = require('../src/PortManager');
+const TcpTransport = require('../src/transports/TcpTransport');
+const UnixSocketTransport = require('../src/transports/UnixSocketTransport');
+
+// Local servers answering 'id\n' with the id of a device, and 'ping\n' with 'pong\n'
+
+describe('socket transports', () => {
+    var servers = [];
+    var portManagers = [];
+
+    afterEach(() => {
+        return Promise.all(portManagers.splice(0).map(portManager => portManager.close())).then(() => {
+            return Promise.all(servers.splice(0).map(server => new Promise(resolve => {
+                server.sockets.forEach(socket => socket.destroy());
+                server.close(() => resolve());
+            })));
+        }).then(mock.cleanup);
+    });
+
+    function createServer(id, address) {
+        var server = net.createServer(socket => {
+            server.accepted++;
+            server.sockets.push(socket);
+            socket.on('close', () => server.sockets.splice(server.sockets.indexOf(socket), 1));
+            socket.on('data', data => {
+                if (String(data) === 'id\n') socket.write(`${id}\n`);
+                else if (String(data) === 'ping\n') socket.write('pong\n');
+            });
+        });
+        server.accepted = 0;
+        server.sockets = [];
+        servers.push(server);
+        return new Promise(resolve => server.listen(address, () => resolve(server)));
+    }
+
+    function createPortManager(comName, transport) {
+        var portManager = new PortManager(comName, {
+            getIdCommand: 'id\n',
+            getIdResponseParser: buffer => buffer.trim(),
+            terminator: '\n',
+            reconnection: {initialDelay: 20},
+            initRetry: {initialDelay: 20}
+        }, transport);
+        portManagers.push(portManager);
+        return portManager;
+    }
+
+    describe('TcpTransport', () => {
+        function setup() {
+            return createServer('dev1', {host: '127.0.0.1', port: 0}).then(server => {
+                var transport = new TcpTransport({endpoints: [{host: '127.0.0.1', port: server.address().port}]});
+                return {server, transport, comName: transport.endpoints[0].comName};
+            });
+        }
+
+        it('lists the endpoints with their properties', () => {
+            var transport = new TcpTransport({endpoints: [{host: '127.0.0.1', port: 4001, manufacturer: 'ACME'}]});
+            return transport.list().then(ports => {
+                ports.should.eql([{comName: 'tcp://127.0.0.1:4001', transport: 'tcp', host: '127.0.0.1', port: 4001, manufacturer: 'ACME'}]);
+            });
+        });
+
+        it('identifies the devices of a DeviceManager', () => {
+            return setup().then(setup => {
+                var deviceManager = mock.createDeviceManager({transports: [setup.transport]}).deviceManager;
+                return deviceManager.addRequest('dev1', 'ping\n').should.be.fulfilledWith('pong\n').then(() => {
+                    deviceManager.getDeviceStatus('dev1').comName.should.equal(setup.comName);
+                });
+            });
+        });
+
+        it('keeps retrying an endpoint that refuses connections', () => {
+            return setup().then(setup => {
+                var portManager = createPortManager(setup.comName, setup.transport);
+                var portErrors = [];
+                portManager.on('error', err => portErrors.push(err));
+                setup.server.close();
+                return mock.delay(100).then(() => {
+                    portErrors.length.should.be.above(1);
+                    portErrors.forEach(err => err.code.should.equal('ECONNREFUSED'));
+                    portManager.ready.should.be.false();
+                });
+            });
+        });
+
+        it('reconnects once when the connection is reset', () => {
+            return setup().then(setup => {
+                var portManager = createPortManager(setup.comName, setup.transport);
+                var portErrors = [];
+                portManager.on('error', err => portErrors.push(err));
+                return mock.once(portManager, 'ready').then(() => {
+                    var reinitialized = mock.once(portManager, 'reinitialized');
+                    setup.server.sockets[0].resetAndDestroy();
+                    return reinitialized;
+                }).then(() => mock.delay(100)).then(() => {
+                    portErrors.map(err => err.code).should.eql(['ECONNRESET']);
+                    setup.server.accepted.should.equal(2);
+                    setup.server.sockets.should.have.length(1);
+                    return portManager.addRequest('ping\n').should.be.fulfilledWith('pong\n');
+                }).then(() => {
+                    var closed = mock.once(setup.server.sockets[0], 'close');
+                    return Promise.all([portManager.close(), closed]);
+                }).then(() => {
+                    setup.server.sockets.should.eql([]);
+                });
+            });
+        });
+    });
+
+    describe('UnixSocketTransport', () => {
+        var directory;
+
+        before(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'serial-requests-'));
+        });
+
+        after(() => {
+            fs.rmdirSync(directory);
+        });
+
+        function setup() {
+            var socketPath = path.join(directory, 'dev1.sock');
+            return createServer('dev1', socketPath).then(server => {
+                var transport = new UnixSocketTransport({paths: [socketPath, path.join(directory, 'missing.sock')]});
+                return {server, transport, comName: socketPath};
+            });
+        }
+
+        it('lists the sockets that exist', () => {
+            return setup().then(setup => {
+                return setup.transport.list().should.be.fulfilledWith([{comName: setup.comName, transport: 'unix'}]);
+            });
+        });
+
+        it('reports the disconnection of a device when the remote end closes the connection', () => {
+            return setup().then(setup => {
+                var deviceManager = mock.createDeviceManager({transports: [setup.transport]}).deviceManager;
+                return deviceManager.addRequest('dev1', 'ping\n').should.be.fulfilledWith('pong\n').then(() => {
+                    var disconnected = mock.once(deviceManager, 'disconnect');
+                    setup.server.sockets[0].end();
+                    return disconnected;
+                }).then(event => {
+                    event.should.eql({id: 'dev1'});
+                    return mock.once(deviceManager, 'connect');
+                }).then(event => {
+                    event.should.eql({id: 'dev1'});
+                    setup.server.accepted.should.equal(2);
+                });
+            });
+        });
+
+        it('closes the connection when the DeviceManager is closed', () => {
+            return setup().then(setup => {
+                var deviceManager = mock.createDeviceManager({transports: [setup.transport]}).deviceManager;
+                return deviceManager.addRequest('dev1', 'ping\n').then(() => {
+                    var closed = mock.once(setup.server.sockets[0], 'close');
+                    return Promise.all([deviceManager.close(), closed]);
+                }).then(() => mock.delay(50)).then(() => {
+                    setup.server.sockets.should.eql([]);
+                    setup.server.accepted.should.equal(1);
+                });
+            });
+        });
+    });
+});
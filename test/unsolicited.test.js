@@ -0,0 +1,118 @@
+'use strict';
+
+const mock = require('./util/mock');
+
+describe('unsolicited data', () => {
+    afterEach(mock.cleanup);
+
+    function collect(emitter) {
+        var events = [];
+        emitter.on('unsolicited', event => events.push(event));
+        return events;
+    }
+
+    it('emits the frames received while no request is in flight', () => {
+        return mock.createReadyPort({
+            unsolicited: {terminator: '\n', parse: frame => Number(frame)}
+        }).then(port => {
+            var events = collect(port.portManager);
+            port.device.send('1\n2\n3');
+            return mock.delay(10).then(() => {
+                events.should.eql([{data: '1\n', parsed: 1}, {data: '2\n', parsed: 2}]);
+                var received = mock.once(port.portManager, 'unsolicited');
+                port.device.send('\n');
+                return received;
+            }).then(event => {
+                event.should.eql({data: '3\n', parsed: 3});
+            });
+        });
+    });
+
+    it('emits the data once the port is silent without a terminator', () => {
+        return mock.createReadyPort({unsolicited: {}}).then(port => {
+            var events = collect(port.portManager);
+            port.device.send('ab');
+            port.device.send('c');
+            return mock.once(port.portManager, 'unsolicited').then(() => {
+                events.should.eql([{data: 'abc'}]);
+            });
+        });
+    });
+
+    it('does not prepend unsolicited data to the next response', () => {
+        return mock.createReadyPort({terminator: '\n', unsolicited: {terminator: '\n'}}).then(port => {
+            port.device.addRule('read\n', 'value\n');
+            var events = collect(port.portManager);
+            port.device.send('partial');
+            return port.portManager.addRequest('read\n').should.be.fulfilledWith('value\n').then(() => {
+                events.should.eql([{data: 'partial'}]);
+            });
+        });
+    });
+
+    it('removes the frames matching the match option from a response', () => {
+        return mock.createReadyPort({
+            terminator: 'END\n',
+            unsolicited: {terminator: '\n', match: /^ALARM/}
+        }).then(port => {
+            port.device.addRule('read\n', ['line 1\n', 'ALARM high\n', 'END\n']);
+            var events = collect(port.portManager);
+            return port.portManager.addRequest('read\n').should.be.fulfilledWith('line 1\nEND\n').then(() => {
+                events.should.eql([{data: 'ALARM high\n'}]);
+            });
+        });
+    });
+
+    it('rejects the request when the match function throws', () => {
+        var error = new Error('cannot match');
+        var match = frame => {
+            if (frame.startsWith('BAD')) throw error;
+            return false;
+        };
+        return mock.createReadyPort({terminator: 'END\n', unsolicited: {terminator: '\n', match}}).then(port => {
+            port.device.addRule('read\n', ['BAD\n', 'END\n']);
+            port.device.addRule('ping\n', 'pong\nEND\n');
+            return port.portManager.addRequest('read\n').should.be.rejectedWith(error).then(() => {
+                return port.portManager.addRequest('ping\n').should.be.fulfilledWith('pong\nEND\n');
+            });
+        });
+    });
+
+    it('reports the errors of the parse function in the event', () => {
+        var error = new Error('bad frame');
+        return mock.createReadyPort({
+            unsolicited: {
+                terminator: '\n',
+                parse: () => {
+                    throw error;
+                }
+            }
+        }).then(port => {
+            var received = mock.once(port.portManager, 'unsolicited');
+            port.device.send('x\n');
+            return received;
+        }).then(event => {
+            event.should.eql({data: 'x\n', error});
+        });
+    });
+
+    it('is forwarded by the DeviceManager with the device id', () => {
+        var setup = mock.createDeviceManager({
+            optionCreator: () => ({
+                getIdCommand: 'id\n',
+                getIdResponseParser: buffer => buffer.trim(),
+                serialResponseTimeout: 30,
+                unsolicited: {terminator: '\n'}
+            })
+        });
+        var device = setup.transport.addDevice('mock0', new mock.MockDevice({id: 'dev1', idCommand: 'id\n'}));
+        var dm = setup.deviceManager;
+        return dm.refresh().then(() => mock.once(dm, 'new')).then(() => {
+            var received = mock.once(dm, 'unsolicited');
+            device.send('event\n');
+            return received;
+        }).then(event => {
+            event.should.eql({id: 'dev1', comName: 'mock0', data: 'event\n'});
+        });
+    });
+});
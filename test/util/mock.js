@@ -0,0 +1,109 @@
+'use strict';
+
+const PortManager = require('../../src/PortManager');
+const DeviceManager = require('../../src/DeviceManager');
+const MockTransport = require('../../src/transports/MockTransport');
+const MockDevice = require('../../src/MockDevice');
+
+// Helpers creating managers connected to MockDevices. Everything they create is closed by cleanup.
+
+var created = [];
+
+/**
+ * Create a PortManager connected to a MockDevice answering 'id\n' with its id
+ * @param {object|function} [options] - PortManager options or optionCreator, merged with defaults suitable for tests
+ * @param {object} [deviceOptions] - MockDevice options
+ * @return {{portManager: PortManager, device: MockDevice, transport: MockTransport}}
+ */
+function createPort(options, deviceOptions) {
+    var transport = new MockTransport();
+    var device = transport.addDevice('mock0', new MockDevice(Object.assign({id: 'dev1', idCommand: 'id\n'}, deviceOptions)));
+    var defaults = {
+        getIdCommand: 'id\n',
+        getIdResponseParser: buffer => String(buffer).trim(),
+        serialResponseTimeout: 30,
+        reconnection: {initialDelay: 20},
+        initRetry: {initialDelay: 20}
+    };
+    var portManager = new PortManager('mock0', typeof options === 'function'
+        ? (portInfo => Object.assign({}, defaults, options(portInfo)))
+        : Object.assign(defaults, options), transport);
+    created.push(portManager);
+    return {portManager, device, transport};
+}
+
+/**
+ * Create a PortManager and wait until its device is identified
+ * @param {object} [options]
+ * @param {object} [deviceOptions]
+ * @return {Promise.<{portManager: PortManager, device: MockDevice, transport: MockTransport}>}
+ */
+function createReadyPort(options, deviceOptions) {
+    var port = createPort(options, deviceOptions);
+    return once(port.portManager, 'ready').then(() => port);
+}
+
+/**
+ * Create a DeviceManager on a MockTransport. The devices are added to the transport by the caller.
+ * @param {object} [options] - DeviceManager options. The default optionCreator accepts every port.
+ * @return {{deviceManager: DeviceManager, transport: MockTransport}}
+ */
+function createDeviceManager(options) {
+    var transport = new MockTransport();
+    var deviceManager = new DeviceManager(Object.assign({
+        transports: [transport],
+        timeout: 500,
+        optionCreator: () => ({
+            getIdCommand: 'id\n',
+            getIdResponseParser: buffer => buffer.trim(),
+            serialResponseTimeout: 30,
+            reconnection: {initialDelay: 20},
+            initRetry: {initialDelay: 20}
+        })
+    }, options));
+    created.push(deviceManager);
+    return {deviceManager, transport};
+}
+
+/**
+ * Wait for an event
+ * @param {EventEmitter} emitter
+ * @param {string} event
+ * @param {function} [filter] - Only resolve for the events passing this filter
+ * @return {Promise} Resolves with the event
+ */
+function once(emitter, event, filter) {
+    return new Promise(resolve => {
+        emitter.on(event, function listener(data) {
+            if (filter && !filter(data)) return;
+            emitter.removeListener(event, listener);
+            resolve(data);
+        });
+    });
+}
+
+/**
+ * @param {number} ms
+ * @return {Promise}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Close all the managers created since the last cleanup
+ * @return {Promise}
+ */
+function cleanup() {
+    var managers = created.splice(0);
+    return Promise.all(managers.map(manager => manager.close()));
+}
+
+exports.createPort = createPort;
+exports.createReadyPort = createReadyPort;
+exports.createDeviceManager = createDeviceManager;
+exports.once = once;
+exports.delay = delay;
+exports.cleanup = cleanup;
+exports.MockDevice = MockDevice;
+exports.MockTransport = MockTransport;
@@ -0,0 +1,100 @@
+'use strict';
+
+const mock = require('./util/mock');
+
+describe('watching ports', () => {
+    afterEach(mock.cleanup);
+
+    function collect(emitter, events) {
+        var emitted = [];
+        events.forEach(event => emitter.on(event, data => emitted.push([event, data])));
+        return emitted;
+    }
+
+    // A DeviceManager whose MockTransport has no watch method, so that its port list is polled
+    function createPollingDeviceManager() {
+        var transport = new mock.MockTransport();
+        var polled = {
+            name: transport.name,
+            list: () => transport.list(),
+            open: comName => transport.open(comName)
+        };
+        var deviceManager = mock.createDeviceManager({transports: [polled], watchInterval: 20}).deviceManager;
+        return {deviceManager, transport};
+    }
+
+    it('opens the ports plugged in and reports the removed ones', () => {
+        var setup = mock.createDeviceManager();
+        var dm = setup.deviceManager;
+        dm.startWatching();
+        var device = new mock.MockDevice({id: 'dev1', idCommand: 'id\n'});
+        var added = mock.once(dm, 'portAdded');
+        var identified = mock.once(dm, 'new');
+        setup.transport.addDevice('mock0', device, {manufacturer: 'ACME'});
+        return Promise.all([added, identified]).then(events => {
+            events[0].comName.should.equal('mock0');
+            events[0].port.should.containEql({comName: 'mock0', manufacturer: 'ACME'});
+            events[1].should.eql({id: 'dev1'});
+            var removed = mock.once(dm, 'portRemoved');
+            device.unplug();
+            return removed;
+        }).then(event => {
+            event.comName.should.equal('mock0');
+            dm.getDeviceIds().should.eql([]);
+        });
+    });
+
+    it('stops watching', () => {
+        var setup = mock.createDeviceManager({watch: true});
+        var dm = setup.deviceManager;
+        dm.watching.should.be.true();
+        dm.stopWatching();
+        var events = collect(dm, ['portAdded', 'new']);
+        setup.transport.addDevice('mock0', new mock.MockDevice({id: 'dev1', idCommand: 'id\n'}));
+        return mock.delay(100).then(() => {
+            events.should.eql([]);
+            dm.getDeviceIds().should.eql([]);
+        });
+    });
+
+    it('polls the transports that cannot notify changes', () => {
+        var setup = createPollingDeviceManager();
+        var dm = setup.deviceManager;
+        var added = mock.once(dm, 'portAdded');
+        dm.startWatching();
+        return mock.delay(30).then(() => {
+            setup.transport.addDevice('mock0', new mock.MockDevice({id: 'dev1', idCommand: 'id\n'}));
+            return added;
+        }).then(event => {
+            event.comName.should.equal('mock0');
+        });
+    });
+
+    it('does not open a removed device again until it is unplugged or refresh is called', () => {
+        var setup = createPollingDeviceManager();
+        var dm = setup.deviceManager;
+        var device = setup.transport.addDevice('mock0', new mock.MockDevice({id: 'dev1', idCommand: 'id\n'}));
+        var identified = mock.once(dm, 'new');
+        dm.startWatching();
+        return identified.then(() => dm.removeDevice('dev1')).then(() => {
+            var events = collect(dm, ['portAdded', 'connect']);
+            return mock.delay(100).then(() => {
+                events.should.eql([]);
+                (device.connection === null).should.be.true();
+            });
+        }).then(() => {
+            var connected = mock.once(dm, 'connect');
+            device.unplug();
+            return mock.delay(60).then(() => {
+                device.plug();
+                return connected;
+            });
+        }).then(() => dm.removeDevice('dev1')).then(() => {
+            var connected = mock.once(dm, 'connect');
+            dm.refresh();
+            return connected;
+        }).then(event => {
+            event.should.eql({id: 'dev1'});
+        });
+    });
+});